@@ -0,0 +1,128 @@
+/**
+ * bundles - Splits the locale files into bundles that can be loaded per route
+ *
+ * With config.bundles.enabled, updateTranslations.js also writes
+ *
+ *   <outDir>/<locale>/<bundle>.json   the translations of one bundle
+ *   <outDir>/manifest.json            { strategy, shared, bundles: { name: { keys, files } } }
+ *
+ * (outDir defaults to <translationsDir>/bundles). Keys are assigned by where
+ * they are used:
+ *   "route"      the Remix route module under routesDir, named by its route id
+ *                ("routes/app.settings" for app/routes/app.settings.tsx or
+ *                app/routes/app.settings/route.tsx)
+ *   "directory"  the first `depth` directories below the source root
+ *                ("components" for app/components/Card.tsx)
+ * Keys used by more than one bundle, or outside any bundle, go to the shared
+ * bundle, which every page should load. The {locale}.json files stay the
+ * source of truth, bundles are regenerated on every run.
+ */
+
+import fs from "fs";
+import path from "path";
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join("/");
+}
+
+function getOutDir(config) {
+    return path.resolve(
+        config.projectRoot,
+        config.bundles.outDir || path.join(config.translationsDir, "bundles")
+    );
+}
+
+/**
+ * Bundle a source file (relative to the project root) belongs to, or null
+ */
+export function getBundleName(config, file) {
+    const { strategy, routesDir, depth } = config.bundles;
+    const absolutePath = path.resolve(config.projectRoot, file);
+
+    if (strategy === "route") {
+        const routesRoot = path.resolve(config.projectRoot, routesDir);
+        const relative = toPosix(path.relative(routesRoot, absolutePath));
+        if (relative.startsWith("../") || path.isAbsolute(relative)) return null;
+
+        // app/routes/home.tsx and app/routes/home/route.tsx are both "routes/home"
+        const routeModule = relative.split("/")[0].replace(/\.[jt]sx?$/, "");
+        return `${path.basename(routesRoot)}/${routeModule}`;
+    }
+
+    if (strategy === "directory") {
+        const sourceRoot = config.sourceRoots.find(
+            (root) => !path.relative(root, absolutePath).startsWith("..")
+        );
+        if (!sourceRoot) return null;
+
+        const directories = toPosix(path.relative(sourceRoot, absolutePath)).split("/").slice(0, -1);
+        return directories.length > 0 ? directories.slice(0, depth).join("/") : null;
+    }
+
+    throw new Error(`Unknown bundles.strategy "${strategy}" (use route or directory)`);
+}
+
+/**
+ * Assign every key to a bundle: Map<bundle, { keys: [...], files: Set }>
+ */
+export function assignBundles(config, keys, usages) {
+    const { shared } = config.bundles;
+    const bundles = new Map([[shared, { keys: [], files: new Set() }]]);
+
+    for (const key of keys) {
+        const keyUsages = usages.get(key) || [];
+        const names = new Set(keyUsages.map((usage) => getBundleName(config, usage.file)));
+        const name = names.size === 1 && !names.has(null) ? [...names][0] : shared;
+
+        if (!bundles.has(name)) {
+            bundles.set(name, { keys: [], files: new Set() });
+        }
+        bundles.get(name).keys.push(key);
+        for (const usage of keyUsages) {
+            bundles.get(name).files.add(usage.file);
+        }
+    }
+
+    return bundles;
+}
+
+/**
+ * Write the bundle files of every locale and the manifest.
+ * `translationsByLocale` is { [locale]: { [key]: value } }.
+ */
+export function writeBundles(config, bundles, translationsByLocale) {
+    const outDir = getOutDir(config);
+
+    for (const [locale, translations] of Object.entries(translationsByLocale)) {
+        // Bundles are generated, drop the ones that no longer exist
+        fs.rmSync(path.join(outDir, locale), { recursive: true, force: true });
+
+        for (const [name, bundle] of bundles) {
+            const values = {};
+            for (const key of [...bundle.keys].sort()) {
+                values[key] = translations[key];
+            }
+
+            const filePath = path.join(outDir, locale, `${name}.json`);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(values, null, 2) + "\n");
+        }
+    }
+
+    const manifest = {
+        strategy: config.bundles.strategy,
+        shared: config.bundles.shared,
+        locales: Object.keys(translationsByLocale),
+        bundles: {},
+    };
+    for (const name of [...bundles.keys()].sort()) {
+        manifest.bundles[name] = {
+            keys: bundles.get(name).keys.length,
+            files: [...bundles.get(name).files].sort(),
+        };
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, "manifest.json"), JSON.stringify(manifest, null, 2) + "\n");
+    return manifest;
+}
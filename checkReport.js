@@ -0,0 +1,133 @@
+/**
+ * checkReport - Machine-readable reports for updateTranslations.js --check
+ *
+ * A finding is { rule, message, file, line, column, severity? } where rule is
+ * one of RULES (or the rules passed in, see lintStrings.js) and severity is
+ * "error" (default) or "warn". Formats:
+ *   text   file:line:column rule message (one per line)
+ *   json   { summary, findings }
+ *   sarif  SARIF 2.1.0, for GitHub code scanning and other annotation tools
+ *   junit  JUnit XML, one failing test case per finding
+ */
+
+export const RULES = {
+    "new-key": "tr() key is not in the translation files yet",
+    "orphaned-key": "Key in the translation files is no longer used in the code",
+    "stale-translation": "English text changed after the key was translated",
+    "missing-translation": "Key has no translation in one or more locales",
+};
+
+const TOOL_NAME = "i18n-automation";
+
+export const REPORT_FORMATS = ["text", "json", "sarif", "junit"];
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+const isWarning = (finding) => finding.severity === "warn";
+
+function formatText(findings) {
+    if (findings.length === 0) return "No i18n problems found\n";
+    return (
+        findings
+            .map(
+                (finding) =>
+                    `${finding.file}:${finding.line}:${finding.column} ${finding.rule} ${finding.message}` +
+                    (isWarning(finding) ? " (warning)" : "")
+            )
+            .join("\n") + "\n"
+    );
+}
+
+function formatJson(findings, rules) {
+    const summary = {};
+    for (const rule of Object.keys(rules)) {
+        summary[rule] = findings.filter((finding) => finding.rule === rule).length;
+    }
+    return JSON.stringify({ summary, findings }, null, 2) + "\n";
+}
+
+function formatSarif(findings, rules) {
+    const sarif = {
+        $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+        version: "2.1.0",
+        runs: [
+            {
+                tool: {
+                    driver: {
+                        name: TOOL_NAME,
+                        rules: Object.entries(rules).map(([id, description]) => ({
+                            id,
+                            shortDescription: { text: description },
+                        })),
+                    },
+                },
+                results: findings.map((finding) => ({
+                    ruleId: finding.rule,
+                    level: isWarning(finding) ? "warning" : "error",
+                    message: { text: finding.message },
+                    locations: [
+                        {
+                            physicalLocation: {
+                                artifactLocation: { uri: finding.file },
+                                region: {
+                                    startLine: finding.line,
+                                    startColumn: finding.column,
+                                },
+                            },
+                        },
+                    ],
+                })),
+            },
+        ],
+    };
+    return JSON.stringify(sarif, null, 2) + "\n";
+}
+
+function formatJunit(findings) {
+    // Warnings don't fail the build
+    findings = findings.filter((finding) => !isWarning(finding));
+    const testcases = findings.map(
+        (finding) =>
+            `    <testcase classname="${TOOL_NAME}.${finding.rule}" name="${escapeXml(finding.message)}" file="${escapeXml(finding.file)}" line="${finding.line}">\n` +
+            `      <failure message="${escapeXml(finding.message)}">${escapeXml(`${finding.file}:${finding.line}:${finding.column}`)}</failure>\n` +
+            `    </testcase>`
+    );
+
+    if (testcases.length === 0) {
+        testcases.push(`    <testcase classname="${TOOL_NAME}" name="translations are up to date"/>`);
+    }
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<testsuites>`,
+        `  <testsuite name="${TOOL_NAME}" tests="${Math.max(findings.length, 1)}" failures="${findings.length}">`,
+        ...testcases,
+        `  </testsuite>`,
+        `</testsuites>`,
+        "",
+    ].join("\n");
+}
+
+/**
+ * Render findings in one of the supported formats
+ */
+export function formatReport(findings, format = "text", rules = RULES) {
+    switch (format) {
+        case "json":
+            return formatJson(findings, rules);
+        case "sarif":
+            return formatSarif(findings, rules);
+        case "junit":
+            return formatJunit(findings);
+        case "text":
+            return formatText(findings);
+        default:
+            throw new Error(`Unknown report format "${format}" (use ${REPORT_FORMATS.join(", ")})`);
+    }
+}
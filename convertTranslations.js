@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * convertTranslations script - Converts locale files and the toTranslate export between formats
+ *
+ * Usage:
+ *   npm run convert-translations -- --to yaml [--from json]
+ *   npm run convert-translations -- --export xliff12
+ *   npm run convert-translations -- --import xliff12
+ *
+ * Formats: json, nested-json, yaml, po, xliff12, xliff20, arb (see localeFiles.js).
+ *
+ * --to       rewrites every locale file (from config.files.format, or --from)
+ *            in another format. Each file is read back before it is written,
+ *            so a lossy conversion stops the run. Set files.format in
+ *            i18n.config afterwards and delete the old files.
+ * --export   writes toTranslate.json as one file per locale for a translation
+ *            vendor: toTranslate.<locale>.<extension>, with the English source,
+ *            the context and the usages
+ * --import   reads those files back into toTranslate.json (only the keys that
+ *            were exported), ready for mergeTranslations.js
+ */
+
+import fs from "fs";
+import path from "path";
+import { getArg, loadConfig } from "./i18nConfig.js";
+import {
+    FORMATS,
+    getLocaleFilePath,
+    loadLocaleFile,
+    parseTranslations,
+    saveLocaleFile,
+    serializeTranslations,
+} from "./localeFiles.js";
+
+const config = await loadConfig();
+const { translationsDir } = config;
+const toTranslatePath = path.join(translationsDir, "toTranslate.json");
+
+function checkFormat(format, flag) {
+    if (!FORMATS.includes(format)) {
+        console.error(`❌ ${flag} needs one of: ${FORMATS.join(", ")}`);
+        process.exit(1);
+    }
+}
+
+function canonicalJson(translations) {
+    return JSON.stringify(
+        Object.keys(translations)
+            .sort()
+            .map((key) => [key, translations[key]])
+    );
+}
+
+/**
+ * Path of a per-locale toTranslate file, e.g. toTranslate.de.xlf
+ */
+function getExportPath(locale, format) {
+    const extension = path.extname(getLocaleFilePath(config, locale, format));
+    return path.join(translationsDir, `toTranslate.${locale}${extension}`);
+}
+
+function loadCanonical(format) {
+    const canonicalPath = getLocaleFilePath(config, config.canonicalLocale, format);
+    return fs.existsSync(canonicalPath) ? loadLocaleFile(config, config.canonicalLocale, format) : {};
+}
+
+/**
+ * --to: convert every locale file
+ */
+function convertLocaleFiles(from, to) {
+    console.log(`🔄 Converting locale files from ${from} to ${to}...\n`);
+
+    const sources = loadCanonical(from);
+    let converted = 0;
+
+    for (const locale of config.locales) {
+        const fromPath = getLocaleFilePath(config, locale, from);
+        if (!fs.existsSync(fromPath)) continue;
+
+        const translations = loadLocaleFile(config, locale, from);
+        const options = { locale, sources };
+
+        // Refuse to write anything that doesn't read back the same
+        const content = serializeTranslations(config, translations, options, to);
+        const roundTrip = parseTranslations(config, content, options, to);
+        if (canonicalJson(roundTrip) !== canonicalJson(translations)) {
+            console.error(`❌ ${path.basename(fromPath)} does not survive a round trip through ${to}, nothing written for it`);
+            process.exitCode = 1;
+            continue;
+        }
+
+        saveLocaleFile(config, locale, translations, { sources }, to);
+        console.log(`✅ ${path.basename(fromPath)} → ${path.basename(getLocaleFilePath(config, locale, to))}`);
+        converted++;
+    }
+
+    console.log(`\n🎉 Converted ${converted} locale files`);
+    console.log(`💡 Set files: { format: "${to}" } in i18n.config and delete the old files`);
+}
+
+/**
+ * --export: toTranslate.json -> one file per locale
+ */
+function exportToTranslate(format) {
+    const toTranslate = JSON.parse(fs.readFileSync(toTranslatePath, "utf-8"));
+    const sources = loadCanonical(config.files.format);
+
+    for (const [locale, entries] of Object.entries(toTranslate)) {
+        // Sections starting with "_" (like _meta) are guidance for translators, not locales
+        if (locale.startsWith("_")) continue;
+
+        const exportPath = getExportPath(locale, format);
+        fs.writeFileSync(
+            exportPath,
+            serializeTranslations(config, entries, { locale, sources, meta: toTranslate._meta }, format)
+        );
+        console.log(`📤 ${locale}: ${Object.keys(entries).length} strings → ${path.basename(exportPath)}`);
+    }
+}
+
+/**
+ * --import: per-locale files -> toTranslate.json
+ */
+function importToTranslate(format) {
+    const toTranslate = JSON.parse(fs.readFileSync(toTranslatePath, "utf-8"));
+    let imported = 0;
+
+    for (const [locale, entries] of Object.entries(toTranslate)) {
+        if (locale.startsWith("_")) continue;
+
+        const importPath = getExportPath(locale, format);
+        if (!fs.existsSync(importPath)) {
+            console.warn(`⚠️  ${locale}: ${path.basename(importPath)} not found, skipped`);
+            continue;
+        }
+
+        const translations = parseTranslations(
+            config,
+            fs.readFileSync(importPath, "utf-8"),
+            { locale },
+            format
+        );
+        let count = 0;
+        for (const key of Object.keys(entries)) {
+            if (translations[key] !== undefined) {
+                entries[key] = translations[key];
+                count++;
+            }
+        }
+
+        const unknown = Object.keys(translations).filter((key) => !(key in entries));
+        if (unknown.length > 0) {
+            console.warn(`⚠️  ${locale}: ignored ${unknown.length} keys that were not exported`);
+        }
+
+        console.log(`📥 ${locale}: ${count} strings from ${path.basename(importPath)}`);
+        imported += count;
+    }
+
+    fs.writeFileSync(toTranslatePath, JSON.stringify(toTranslate, null, 2) + "\n");
+    console.log(`\n🎉 Imported ${imported} strings into toTranslate.json`);
+    console.log(`💡 Run mergeTranslations.js next`);
+}
+
+/**
+ * Main script logic
+ */
+function main() {
+    const to = getArg("--to");
+    const exportFormat = getArg("--export");
+    const importFormat = getArg("--import");
+
+    if (to !== undefined) {
+        const from = getArg("--from") || config.files.format;
+        checkFormat(from, "--from");
+        checkFormat(to, "--to");
+        convertLocaleFiles(from, to);
+        return;
+    }
+
+    if (exportFormat === undefined && importFormat === undefined) {
+        console.error("❌ Use --to <format>, --export <format> or --import <format>");
+        process.exit(1);
+    }
+
+    if (!fs.existsSync(toTranslatePath)) {
+        console.log("❌ No toTranslate.json found. Run updateTranslations first.");
+        process.exit(1);
+    }
+
+    if (exportFormat !== undefined) {
+        checkFormat(exportFormat, "--export");
+        exportToTranslate(exportFormat);
+    } else {
+        checkFormat(importFormat, "--import");
+        importToTranslate(importFormat);
+    }
+}
+
+// Run the script
+main();
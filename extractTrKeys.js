@@ -0,0 +1,488 @@
+/**
+ * extractTrKeys - AST-based extraction of tr() keys
+ *
+ * Parses every source file with the TypeScript compiler (JS, JSX, TS and TSX)
+ * instead of scanning text, so tr( inside comments and strings is ignored.
+ *
+ * Recognized calls:
+ *   tr("Save")                      any name in config.functionNames
+ *   i18n.tr("Save")                 member calls ending in one of those names
+ *   t("Save")                       t imported from config.i18nModule
+ *   const t = useTr(); t("Save")    bindings returned by config.hookNames
+ *   import { tr as t } ...          aliased imports
+ *   const { tr: t } = useI18n()     destructured bindings
+ *   <Trans i18nKey="Read <b>me</b>" />  any component in config.transComponents
+ *
+ * Keys are resolved statically: string and template literals, constant
+ * concatenation ("a" + "b", `a ${B}`) and file-level string constants.
+ * Calls whose key cannot be resolved are returned as `unresolved`.
+ *
+ * A `context` option (tr("Open", { context: "store status" })) disambiguates
+ * identical English strings. It is stored as a compound key, gettext style:
+ * "Open\u0004store status". A `count` option marks the key as plural.
+ *
+ * Keys the scanner can't see (tr(statusLabel)) can be declared with a magic
+ * comment, which works in JS and in JSX ({/* ... *\/}):
+ *
+ *   // i18n-keys: "Active", "Archived"
+ */
+
+import fs from "fs";
+import path from "path";
+
+// The non-hook tr() of config.i18nModule (see i18nContext.tsx), only a tr()
+// when imported from there since t is a common name
+const MODULE_FUNCTIONS = ["t"];
+
+export const CONTEXT_SEPARATOR = "\u0004";
+
+/**
+ * Build the stored key for a source string and optional context
+ */
+export function makeKey(text, context) {
+    return context ? `${text}${CONTEXT_SEPARATOR}${context}` : text;
+}
+
+/**
+ * Split a stored key into its English source text and context
+ */
+export function parseKey(key) {
+    const index = key.indexOf(CONTEXT_SEPARATOR);
+    if (index === -1) return { text: key, context: null };
+    return { text: key.slice(0, index), context: key.slice(index + 1) };
+}
+
+/**
+ * Human-readable form of a key for logs: Open (store status)
+ */
+export function formatKey(key) {
+    const { text, context } = parseKey(key);
+    return context ? `${text} (${context})` : text;
+}
+
+function getScriptKind(ts, filePath) {
+    if (filePath.endsWith(".tsx")) return ts.ScriptKind.TSX;
+    if (filePath.endsWith(".jsx")) return ts.ScriptKind.JSX;
+    if (filePath.endsWith(".ts")) return ts.ScriptKind.TS;
+    return ts.ScriptKind.JS;
+}
+
+/**
+ * Parse a source file into a TypeScript AST
+ */
+export function parseSource(ts, filePath, content) {
+    return ts.createSourceFile(
+        filePath,
+        content,
+        ts.ScriptTarget.Latest,
+        true,
+        getScriptKind(ts, filePath)
+    );
+}
+
+/**
+ * Check whether an import in a file refers to a module (absolute path,
+ * extension optional). Relative imports are resolved; aliased ones like
+ * "~/contexts/I18nContext" match by the path after the alias.
+ */
+export function importsModule(filePath, specifier, modulePath) {
+    const stripExtension = (value) => value.replace(/\.[jt]sx?$/, "");
+    const target = stripExtension(modulePath).split(path.sep).join("/");
+
+    if (specifier.startsWith(".")) {
+        const resolved = path.resolve(path.dirname(filePath), specifier);
+        return stripExtension(resolved).split(path.sep).join("/") === target;
+    }
+    const aliasedPath = stripExtension(specifier).split("/").slice(1).join("/");
+    return aliasedPath !== "" && target.endsWith(`/${aliasedPath}`);
+}
+
+/**
+ * Unwrap parentheses and type-only wrappers (`as const`, `satisfies`, `!`)
+ */
+function unwrapExpression(ts, node) {
+    while (
+        ts.isParenthesizedExpression(node) ||
+        ts.isAsExpression(node) ||
+        ts.isNonNullExpression(node) ||
+        (ts.isSatisfiesExpression && ts.isSatisfiesExpression(node)) ||
+        ts.isTypeAssertionExpression(node)
+    ) {
+        node = node.expression;
+    }
+    return node;
+}
+
+/**
+ * Get the called function name of tr(), i18n.tr() or this.tr()
+ */
+function getCalleeName(ts, expression) {
+    expression = unwrapExpression(ts, expression);
+    if (ts.isIdentifier(expression)) return expression.text;
+    if (ts.isPropertyAccessExpression(expression)) return expression.name.text;
+    return null;
+}
+
+/**
+ * Resolve an expression to a constant string, or null if it is dynamic
+ */
+function resolveString(ts, node, constants, seen = new Set()) {
+    node = unwrapExpression(ts, node);
+
+    if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
+        return node.text;
+    }
+
+    if (ts.isTemplateExpression(node)) {
+        let value = node.head.text;
+        for (const span of node.templateSpans) {
+            const part = resolveString(ts, span.expression, constants, seen);
+            if (part === null) return null;
+            value += part + span.literal.text;
+        }
+        return value;
+    }
+
+    if (
+        ts.isBinaryExpression(node) &&
+        node.operatorToken.kind === ts.SyntaxKind.PlusToken
+    ) {
+        const left = resolveString(ts, node.left, constants, seen);
+        if (left === null) return null;
+        const right = resolveString(ts, node.right, constants, seen);
+        if (right === null) return null;
+        return left + right;
+    }
+
+    if (ts.isNumericLiteral(node)) {
+        return node.text;
+    }
+
+    if (ts.isIdentifier(node)) {
+        const initializer = constants.get(node.text);
+        if (!initializer || seen.has(node.text)) return null;
+        seen.add(node.text);
+        const value = resolveString(ts, initializer, constants, seen);
+        seen.delete(node.text);
+        return value;
+    }
+
+    return null;
+}
+
+/**
+ * Collect the local names that refer to a tr() function in this file,
+ * plus file-level `const` initializers used to resolve constant keys
+ */
+function collectBindings(ts, sourceFile, config) {
+    const trNames = new Set(config.functionNames);
+    const hookNames = new Set(config.hookNames);
+    const transNames = new Set(config.transComponents);
+    const constants = new Map();
+    const ambiguousConstants = new Set();
+
+    // import { t } from "~/contexts/I18nContext", not type-only
+    const isI18nModuleImport = (specifier) => {
+        const declaration = specifier.parent.parent.parent;
+        return (
+            Boolean(config.i18nModule) &&
+            !specifier.isTypeOnly &&
+            !declaration.importClause.isTypeOnly &&
+            ts.isStringLiteral(declaration.moduleSpecifier) &&
+            importsModule(sourceFile.fileName, declaration.moduleSpecifier.text, config.i18nModule)
+        );
+    };
+
+    const isHookCall = (node) => {
+        node = unwrapExpression(ts, node);
+        if (ts.isAwaitExpression(node)) node = unwrapExpression(ts, node.expression);
+        return ts.isCallExpression(node) && hookNames.has(getCalleeName(ts, node.expression));
+    };
+
+    // Repeat until stable so aliases of aliases are followed
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const add = (set, name) => {
+            if (!set.has(name)) {
+                set.add(name);
+                changed = true;
+            }
+        };
+
+        const visit = (node) => {
+            if (ts.isImportSpecifier(node)) {
+                // import { tr as t } / import { useTr as useT }
+                const importedName = (node.propertyName || node.name).text;
+                if (MODULE_FUNCTIONS.includes(importedName) && !config.functionNames.includes(importedName)) {
+                    // import { t } from some other library isn't ours
+                    if (isI18nModuleImport(node)) add(trNames, node.name.text);
+                } else if (trNames.has(importedName)) {
+                    add(trNames, node.name.text);
+                }
+                if (hookNames.has(importedName)) add(hookNames, node.name.text);
+                if (transNames.has(importedName)) add(transNames, node.name.text);
+            }
+
+            if (ts.isVariableDeclaration(node) && node.initializer) {
+                const initializer = unwrapExpression(ts, node.initializer);
+
+                if (ts.isIdentifier(node.name)) {
+                    const name = node.name.text;
+
+                    if (isHookCall(initializer)) {
+                        // const t = useTr()
+                        add(trNames, name);
+                    } else if (ts.isIdentifier(initializer) && trNames.has(initializer.text)) {
+                        // const t = tr
+                        add(trNames, name);
+                    } else if (
+                        ts.isPropertyAccessExpression(initializer) &&
+                        config.functionNames.includes(initializer.name.text)
+                    ) {
+                        // const t = i18n.tr
+                        add(trNames, name);
+                    }
+
+                    const isConst =
+                        node.parent &&
+                        ts.isVariableDeclarationList(node.parent) &&
+                        (node.parent.flags & ts.NodeFlags.Const) !== 0;
+                    if (isConst && !ambiguousConstants.has(name)) {
+                        const existing = constants.get(name);
+                        if (existing && existing !== node.initializer) {
+                            // Same name declared twice in different scopes, don't guess
+                            constants.delete(name);
+                            ambiguousConstants.add(name);
+                        } else {
+                            constants.set(name, node.initializer);
+                        }
+                    }
+                } else if (ts.isObjectBindingPattern(node.name)) {
+                    // const { tr } = useI18n() / const { tr: t } = context
+                    for (const element of node.name.elements) {
+                        const propertyName = element.propertyName || element.name;
+                        if (
+                            ts.isIdentifier(propertyName) &&
+                            ts.isIdentifier(element.name) &&
+                            config.functionNames.includes(propertyName.text)
+                        ) {
+                            add(trNames, element.name.text);
+                        }
+                    }
+                }
+            }
+
+            ts.forEachChild(node, visit);
+        };
+
+        visit(sourceFile);
+    }
+
+    return { trNames, transNames, constants };
+}
+
+/**
+ * Find a property of an object literal argument by name
+ */
+function getObjectProperty(ts, node, name) {
+    node = node && unwrapExpression(ts, node);
+    if (!node || !ts.isObjectLiteralExpression(node)) return null;
+
+    for (const property of node.properties) {
+        if (
+            ts.isPropertyAssignment(property) &&
+            (ts.isIdentifier(property.name) || ts.isStringLiteral(property.name)) &&
+            property.name.text === name
+        ) {
+            return property.initializer;
+        }
+        if (ts.isShorthandPropertyAssignment(property) && property.name.text === name) {
+            return property.name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find a JSX attribute by name and return its value as an expression
+ */
+function getJsxAttribute(ts, element, name) {
+    for (const attribute of element.attributes.properties) {
+        if (!ts.isJsxAttribute(attribute) || attribute.name.getText() !== name) continue;
+
+        const { initializer } = attribute;
+        if (!initializer) return null;
+        return ts.isJsxExpression(initializer) ? initializer.expression || null : initializer;
+    }
+    return null;
+}
+
+const MAGIC_COMMENT = /i18n-keys:([\s\S]*)/;
+const QUOTED_STRING = /"((?:[^"\\\n]|\\.)*)"|'((?:[^'\\\n]|\\.)*)'/g;
+
+/**
+ * Keys declared with // i18n-keys: "A", "B" comments.
+ * Returns { declared: [{ key, line, column }], unresolved: [{ line, column, reason }] }
+ */
+function collectDeclaredKeys(ts, sourceFile) {
+    const text = sourceFile.text;
+    const seen = new Set();
+    const declared = [];
+    const unresolved = [];
+
+    const visit = (node) => {
+        const children = node.getChildren(sourceFile);
+
+        // Comments are trivia in front of tokens. JSX text is not code, "//" in
+        // it is not a comment.
+        if (children.length === 0 && node.kind !== ts.SyntaxKind.JsxText) {
+            // Comments on the same line as the previous token count as trailing
+            const ranges = [
+                ...(ts.getTrailingCommentRanges(text, node.pos) || []),
+                ...(ts.getLeadingCommentRanges(text, node.pos) || []),
+            ];
+            for (const range of ranges) {
+                if (seen.has(range.pos)) continue;
+                seen.add(range.pos);
+
+                const match = text.slice(range.pos, range.end).match(MAGIC_COMMENT);
+                if (!match) continue;
+
+                const { line, character } = sourceFile.getLineAndCharacterOfPosition(range.pos);
+                for (const quoted of match[1].matchAll(QUOTED_STRING)) {
+                    let key;
+                    if (quoted[1] === undefined) {
+                        key = quoted[2].replace(/\\(.)/g, "$1");
+                    } else {
+                        // Double-quoted keys use JSON escapes, "Don\'t" isn't one
+                        try {
+                            key = JSON.parse(`"${quoted[1]}"`);
+                        } catch (error) {
+                            unresolved.push({
+                                line: line + 1,
+                                column: character + 1,
+                                reason: `invalid escape in i18n-keys comment: ${quoted[0].slice(0, 80)}`,
+                            });
+                            continue;
+                        }
+                    }
+                    if (key) {
+                        declared.push({ key, line: line + 1, column: character + 1 });
+                    }
+                }
+            }
+        }
+
+        for (const child of children) {
+            visit(child);
+        }
+    };
+
+    visit(sourceFile);
+    return { declared, unresolved };
+}
+
+function getPosition(sourceFile, node) {
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(
+        node.getStart(sourceFile)
+    );
+    return { line: line + 1, column: character + 1 };
+}
+
+/**
+ * Extract tr() calls from already-parsed source.
+ * Returns { calls: [{ key, text, context, plural, line, column }], unresolved: [{ line, column, reason }] }
+ * Keys declared in i18n-keys comments are included with `declared: true`.
+ */
+export function extractTrCallsFromSource(ts, sourceFile, config) {
+    const { trNames, transNames, constants } = collectBindings(ts, sourceFile, config);
+    const memberNames = new Set(config.functionNames);
+    const calls = [];
+    const unresolved = [];
+
+    const isTrCall = (node) => {
+        const expression = unwrapExpression(ts, node.expression);
+        if (ts.isIdentifier(expression)) return trNames.has(expression.text);
+        if (ts.isPropertyAccessExpression(expression)) {
+            return memberNames.has(expression.name.text);
+        }
+        return false;
+    };
+
+    const isTransElement = (node) =>
+        (ts.isJsxSelfClosingElement(node) || ts.isJsxOpeningElement(node)) &&
+        transNames.has(node.tagName.getText(sourceFile));
+
+    // tr(key, params) and <Trans i18nKey={key} params={params} /> are read the same way
+    const addCall = (node, keyArgument, paramsArgument, label) => {
+        const position = getPosition(sourceFile, node);
+        const contextNode = getObjectProperty(ts, paramsArgument, "context");
+        const context = contextNode
+            ? resolveString(ts, contextNode, constants)
+            : null;
+
+        if (!keyArgument) {
+            unresolved.push({ ...position, reason: `${label} called without a key` });
+        } else {
+            const key = resolveString(ts, keyArgument, constants);
+            if (key === null) {
+                unresolved.push({
+                    ...position,
+                    reason: `dynamic key: ${keyArgument.getText(sourceFile).slice(0, 80)}`,
+                });
+            } else if (contextNode && context === null) {
+                unresolved.push({
+                    ...position,
+                    reason: `dynamic context: ${contextNode.getText(sourceFile).slice(0, 80)}`,
+                });
+            } else if (key !== "") {
+                calls.push({
+                    key: makeKey(key, context),
+                    text: key,
+                    context,
+                    // tr("{count} items", { count }) selects a plural form
+                    plural: Boolean(getObjectProperty(ts, paramsArgument, "count")),
+                    ...position,
+                });
+            }
+        }
+    };
+
+    const visit = (node) => {
+        if (ts.isCallExpression(node) && isTrCall(node)) {
+            const [keyArgument, paramsArgument] = node.arguments;
+            addCall(node, keyArgument, paramsArgument, "tr()");
+        }
+
+        if (isTransElement(node)) {
+            addCall(
+                node,
+                getJsxAttribute(ts, node, "i18nKey"),
+                getJsxAttribute(ts, node, "params"),
+                `<${node.tagName.getText(sourceFile)}>`
+            );
+        }
+
+        ts.forEachChild(node, visit);
+    };
+
+    visit(sourceFile);
+
+    const declaredKeys = collectDeclaredKeys(ts, sourceFile);
+    for (const { key, line, column } of declaredKeys.declared) {
+        calls.push({ key, text: key, context: null, plural: false, declared: true, line, column });
+    }
+    unresolved.push(...declaredKeys.unresolved);
+
+    return { calls, unresolved };
+}
+
+/**
+ * Read, parse and extract tr() calls from a file
+ */
+export function extractTrCallsFromFile(ts, filePath, config) {
+    const content = fs.readFileSync(filePath, "utf-8");
+    const sourceFile = parseSource(ts, filePath, content);
+    return extractTrCallsFromSource(ts, sourceFile, config);
+}
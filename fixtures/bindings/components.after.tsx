@@ -0,0 +1,56 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+"use client";
+import React, { Component, forwardRef, memo } from "react";
+import { Text, Button } from "@shopify/polaris";
+import { useLocale, useTr, TrContext, type TrFunction, t as translate } from "../contexts/I18nContext";
+import { getServerT } from "../i18n.server";
+
+export async function loader({ request }: { request: Request }) {
+    const tr = getServerT(request);
+    return { message: tr("Settings saved successfully") };
+}
+
+function buildToast() {
+    app.toast.show(translate("Your changes were saved"));
+}
+
+export function Header() {
+    const tr = useTr();
+    const locale = useLocale();
+    return <Text as="h1">{tr("Welcome back")}</Text>;
+}
+
+export const Footer = () => {
+    const tr = useTr();
+    return <Text as="p">{tr("All rights reserved")}</Text>;
+};
+
+export const Fancy = memo(
+    forwardRef((props, ref) => {
+        const tr = useTr();
+        return <Button ref={ref}>{tr("Continue")}</Button>;
+    })
+);
+
+export class Legacy extends Component {
+    static contextType = TrContext;
+    declare context: TrFunction;
+
+    render() {
+        const tr = this.context;
+        return <Text as="p">{tr("Old school")}</Text>;
+    }
+}
+
+export default function Page({ items }) {
+    const tr = useTr();
+    const onSave = () => buildToast();
+    return (
+        <div>
+            {items.map((t) => (
+                <Text as="p" key={t}>{tr("Item row")}</Text>
+            ))}
+            <Header />
+        </div>
+    );
+}
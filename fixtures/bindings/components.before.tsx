@@ -0,0 +1,44 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+"use client";
+import React, { Component, forwardRef, memo } from "react";
+import { Text, Button } from "@shopify/polaris";
+import { useLocale } from "../contexts/I18nContext";
+
+export async function loader() {
+    return { message: "Settings saved successfully" };
+}
+
+function buildToast() {
+    app.toast.show("Your changes were saved");
+}
+
+export function Header() {
+    const locale = useLocale();
+    return <Text as="h1">Welcome back</Text>;
+}
+
+export const Footer = () => <Text as="p">All rights reserved</Text>;
+
+export const Fancy = memo(
+    forwardRef((props, ref) => {
+        return <Button ref={ref}>Continue</Button>;
+    })
+);
+
+export class Legacy extends Component {
+    render() {
+        return <Text as="p">Old school</Text>;
+    }
+}
+
+export default function Page({ items }) {
+    const onSave = () => buildToast();
+    return (
+        <div>
+            {items.map((t) => (
+                <Text as="p" key={t}>Item row</Text>
+            ))}
+            <Header />
+        </div>
+    );
+}
@@ -0,0 +1,38 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { json } from "@remix-run/node";
+import { Text } from "@shopify/polaris";
+import { TrContext, type TrFunction, t } from "../contexts/I18nContext";
+import { getServerT } from "../i18n.server";
+
+export const loader = async ({ request, params }) => {
+    const tr = getServerT(request);
+    return json({ message: tr("Settings saved successfully") });
+};
+
+export async function action(args) {
+    const tr = getServerT(args.request);
+    return { message: tr("Product saved") };
+}
+
+export class WithContext extends React.Component {
+    static contextType = OtherContext;
+    render() {
+        return <Text as="p">{t("Has context")}</Text>;
+    }
+}
+
+export class Counter extends React.Component {
+    static contextType = TrContext;
+    declare context: TrFunction;
+
+    static title() {
+        return "Static title";
+    }
+    get label() {
+        return { message: "Count label" };
+    }
+    render() {
+        const tr = this.context;
+        return <Text as="p">{tr("Counter text")}</Text>;
+    }
+}
@@ -0,0 +1,28 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { json } from "@remix-run/node";
+import { Text } from "@shopify/polaris";
+
+export const loader = async ({ params }) => json({ message: "Settings saved successfully" });
+
+export async function action(args) {
+    return { message: "Product saved" };
+}
+
+export class WithContext extends React.Component {
+    static contextType = OtherContext;
+    render() {
+        return <Text as="p">Has context</Text>;
+    }
+}
+
+export class Counter extends React.Component {
+    static title() {
+        return "Static title";
+    }
+    get label() {
+        return { message: "Count label" };
+    }
+    render() {
+        return <Text as="p">Counter text</Text>;
+    }
+}
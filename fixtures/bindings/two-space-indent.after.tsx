@@ -0,0 +1,24 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { forwardRef } from "react";
+import { Button } from "@shopify/polaris";
+import { useTr, TrContext, type TrFunction } from "../contexts/I18nContext";
+
+export const Next = forwardRef((props, ref) => {
+  const tr = useTr();
+  return <Button ref={ref}>{tr("Continue")}</Button>;
+});
+
+export function Empty() {
+  const tr = useTr();
+  return <p>{tr("Hello there")}</p>;
+}
+
+export class Old extends React.Component {
+  static contextType = TrContext;
+  declare context: TrFunction;
+
+  render() {
+    const tr = this.context;
+    return <p>{tr("Old text")}</p>;
+  }
+}
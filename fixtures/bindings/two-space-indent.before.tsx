@@ -0,0 +1,15 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { forwardRef } from "react";
+import { Button } from "@shopify/polaris";
+
+export const Next = forwardRef((props, ref) => <Button ref={ref}>Continue</Button>);
+
+export function Empty() {
+  return <p>Hello there</p>;
+}
+
+export class Old extends React.Component {
+  render() {
+    return <p>Old text</p>;
+  }
+}
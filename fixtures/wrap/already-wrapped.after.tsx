@@ -0,0 +1,16 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { Button, Text } from "@shopify/polaris";
+import { Trans, useTr } from "../contexts/I18nContext";
+
+export function Done() {
+    const tr = useTr();
+    return (
+        <div>
+            <Text as="p">{tr("Already wrapped")}</Text>
+            <Button accessibilityLabel={tr("Close dialog")}>{tr("Close")}</Button>
+            <Text as="p">
+                <Trans i18nKey="Read the <link>docs</link>" components={{ link: <a href="/docs" /> }} />
+            </Text>
+        </div>
+    );
+}
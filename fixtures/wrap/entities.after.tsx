@@ -0,0 +1,17 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { Text } from "@shopify/polaris";
+
+export function Footer() {
+    return (
+        <footer>
+            <Text as="p">{tr("Terms & conditions")}</Text>
+            <Text as="p">{tr("© 2024 Example\u00A0Inc.")}</Text>
+            <Text as="p">{tr("Use \"quotes\" and <brackets>")}</Text>
+            <img alt={tr("Logo & name")} src="/logo.png" />
+            <p>Made with &hearts; in Berlin</p>
+            <p>
+                <Trans i18nKey="Prices in € — <strong>incl.</strong> VAT" components={{ strong: <strong /> }} />
+            </p>
+        </footer>
+    );
+}
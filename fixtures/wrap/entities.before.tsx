@@ -0,0 +1,17 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { Text } from "@shopify/polaris";
+
+export function Footer() {
+    return (
+        <footer>
+            <Text as="p">Terms &amp; conditions</Text>
+            <Text as="p">&copy; 2024 Example&nbsp;Inc.</Text>
+            <Text as="p">Use &quot;quotes&quot; and &lt;brackets&gt;</Text>
+            <img alt="Logo &amp; name" src="/logo.png" />
+            <p>Made with &hearts; in Berlin</p>
+            <p>
+                Prices in &euro; &mdash; <strong>incl.</strong> VAT
+            </p>
+        </footer>
+    );
+}
@@ -0,0 +1,15 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { Badge, Text } from "@shopify/polaris";
+
+export function Summary({ count, name, active }) {
+    return (
+        <div>
+            <Text as="p">{count} orders</Text>
+            <Text as="p">Hello {name}, welcome back</Text>
+            <Text as="p">{active ? "Active" : "Paused"}</Text>
+            <Badge>{name}</Badge>
+            <Text as="p">{"Literal in braces"}</Text>
+            <Text as="p">{/* comment only */}</Text>
+        </div>
+    );
+}
@@ -0,0 +1,8 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+export async function action({ request }) {
+    const data = await request.formData();
+    if (!data.get("name")) {
+        throw new Error(tr("Name is required"));
+    }
+    return { message: tr("Settings saved successfully") };
+}
@@ -0,0 +1,8 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+export async function action({ request }) {
+    const data = await request.formData();
+    if (!data.get("name")) {
+        throw new Error("Name is required");
+    }
+    return { message: "Settings saved successfully" };
+}
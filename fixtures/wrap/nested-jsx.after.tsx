@@ -0,0 +1,27 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { BlockStack, Button, Card, Link, Text } from "@shopify/polaris";
+
+export function Settings({ onSave }) {
+    return (
+        <Card>
+            <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                    {tr("Store settings")}
+                </Text>
+                <div>
+                    <p>{tr("Changes apply to every location.")}</p>
+                    <ul>
+                        <li>{tr("Shipping")}</li>
+                        <li>
+                            <strong>{tr("Taxes")}</strong>
+                        </li>
+                    </ul>
+                </div>
+                <Text as="p">
+                    <Trans i18nKey="<link>Learn more about settings</link>" components={{ link: <Link url="/settings/help" /> }} />
+                </Text>
+                <Button onClick={onSave}>{tr("Save")}</Button>
+            </BlockStack>
+        </Card>
+    );
+}
@@ -0,0 +1,27 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { BlockStack, Button, Card, Link, Text } from "@shopify/polaris";
+
+export function Settings({ onSave }) {
+    return (
+        <Card>
+            <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                    Store settings
+                </Text>
+                <div>
+                    <p>Changes apply to every location.</p>
+                    <ul>
+                        <li>Shipping</li>
+                        <li>
+                            <strong>Taxes</strong>
+                        </li>
+                    </ul>
+                </div>
+                <Text as="p">
+                    <Link url="/settings/help">Learn more about settings</Link>
+                </Text>
+                <Button onClick={onSave}>Save</Button>
+            </BlockStack>
+        </Card>
+    );
+}
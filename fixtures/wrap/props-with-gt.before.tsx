@@ -0,0 +1,16 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { Button, Text } from "@shopify/polaris";
+
+export function Limits({ count, max, onChange }) {
+    return (
+        <div>
+            <Button onClick={() => onChange(count > max ? max : count)} disabled={count >= max}>
+                Apply limit
+            </Button>
+            <Text as="p" tone={count > max ? "critical" : "subdued"}>
+                Over the limit
+            </Text>
+            <input placeholder="Maximum > 0" onBlur={(event) => event.target.value > 0 && onChange(1)} />
+        </div>
+    );
+}
@@ -0,0 +1,15 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { Link, Text } from "@shopify/polaris";
+
+export function Legal() {
+    return (
+        <div>
+            <Text as="p">
+                <Trans i18nKey="Read our <link>terms of service</link> before continuing." components={{ link: <Link url="/terms" /> }} />
+            </Text>
+            <p>
+                <Trans i18nKey="Contact <strong>support</strong> or <a>open the help center</a>." components={{ strong: <strong />, a: <a href="/help" /> }} />
+            </p>
+        </div>
+    );
+}
@@ -0,0 +1,15 @@
+// @ts-nocheck: fixture for testWrapFixtures.js
+import { Link, Text } from "@shopify/polaris";
+
+export function Legal() {
+    return (
+        <div>
+            <Text as="p">
+                Read our <Link url="/terms">terms of service</Link> before continuing.
+            </Text>
+            <p>
+                Contact <strong>support</strong> or <a href="/help">open the help center</a>.
+            </p>
+        </div>
+    );
+}
@@ -0,0 +1,123 @@
+/**
+ * glossary - Project terminology enforced across translation and merge
+ *
+ * The glossary file (config.glossary, default translations/glossary.json):
+ *
+ *   {
+ *       "terms": {
+ *           "Pro plan": { "de": "Pro-Tarif", "fr": "Forfait Pro" }
+ *       },
+ *       "doNotTranslate": ["Shopify", "Polaris"]
+ *   }
+ *
+ * Terms map an English term to its required translation per locale.
+ * Do-not-translate entries must appear verbatim in every translation
+ * whose source contains them.
+ */
+
+import fs from "fs";
+import path from "path";
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Both ignore case: a rule found in "Upgrade to the pro plan" is met by
+// "forfait pro" as well as "Forfait Pro"
+function containsTerm(text, term) {
+    // Whole-word match, so "Pro" doesn't match "Product"
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`, "iu").test(text);
+}
+
+function containsTranslation(text, translation) {
+    // Not whole-word, translations can be inflected ("Pro-Tarifs")
+    return new RegExp(escapeRegExp(translation), "iu").test(text);
+}
+
+/**
+ * Load the glossary, or an empty one when the file doesn't exist
+ */
+export function loadGlossary(config) {
+    const filePath = path.resolve(
+        config.projectRoot,
+        config.glossary || path.join(config.translationsDir, "glossary.json")
+    );
+
+    if (!fs.existsSync(filePath)) {
+        return { terms: {}, doNotTranslate: [] };
+    }
+
+    const glossary = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return {
+        terms: glossary.terms || {},
+        doNotTranslate: glossary.doNotTranslate || [],
+    };
+}
+
+/**
+ * The glossary rules that apply to a source string in a locale:
+ * [{ term, translation }] where translation is the required rendering
+ * (the term itself for do-not-translate entries)
+ */
+export function getGlossaryRules(glossary, source, locale) {
+    const rules = [];
+
+    for (const term of glossary.doNotTranslate) {
+        if (containsTerm(source, term)) {
+            rules.push({ term, translation: term, doNotTranslate: true });
+        }
+    }
+
+    for (const [term, translations] of Object.entries(glossary.terms)) {
+        if (translations[locale] && containsTerm(source, term)) {
+            rules.push({ term, translation: translations[locale], doNotTranslate: false });
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * Glossary entries relevant to a set of source strings, per locale, for
+ * prompts and the toTranslate.json export:
+ * { doNotTranslate: [...], terms: { de: { "Pro plan": "Pro-Tarif" } } }
+ */
+export function getRelevantGlossary(glossary, sourcesByLocale) {
+    const doNotTranslate = new Set();
+    const terms = {};
+
+    for (const [locale, sources] of Object.entries(sourcesByLocale)) {
+        for (const source of sources) {
+            for (const rule of getGlossaryRules(glossary, source, locale)) {
+                if (rule.doNotTranslate) {
+                    doNotTranslate.add(rule.term);
+                } else {
+                    terms[locale] = terms[locale] || {};
+                    terms[locale][rule.term] = rule.translation;
+                }
+            }
+        }
+    }
+
+    return { doNotTranslate: [...doNotTranslate].sort(), terms };
+}
+
+/**
+ * Check a translation against the glossary.
+ * Returns a list of human-readable issues (empty when the translation complies).
+ */
+export function checkGlossary(glossary, source, translation, locale) {
+    const issues = [];
+
+    for (const rule of getGlossaryRules(glossary, source, locale)) {
+        if (!containsTranslation(translation, rule.translation)) {
+            issues.push(
+                rule.doNotTranslate
+                    ? `"${rule.term}" must not be translated`
+                    : `"${rule.term}" must be translated as "${rule.translation}"`
+            );
+        }
+    }
+
+    return issues;
+}
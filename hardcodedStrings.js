@@ -0,0 +1,179 @@
+/**
+ * hardcodedStrings - Lint rules for user-facing strings that aren't translated
+ *
+ * The strings are the ones wrapExistingText.js would wrap (config.wrapRules,
+ * see wrapPresets.js), one rule per kind:
+ *   jsx-text         <Text>Save</Text>, and text mixed with elements (<Trans>)
+ *   jsx-attribute    label="Save"
+ *   call-argument    app.toast.show("Saved")
+ *   object-property  message: "Settings saved"
+ *   error-message    throw new Error("Something went wrong")
+ *
+ * config.lintRules sets the severity of a rule: "error", "warn" or "off".
+ *
+ * Comments turn rules off, for all rules or the ones listed after them:
+ *   i18n-lint-disable-next-line [rules]      the next line
+ *   i18n-lint-disable-line [rules]           the line of the comment
+ *   i18n-lint-disable [rules] ... i18n-lint-enable   the lines in between
+ * in line or block comments (JSX comments in braces too), e.g.
+ *   // i18n-lint-disable-next-line jsx-attribute
+ * A disabled string is left alone by wrapExistingText.js too.
+ */
+
+import { parseSource } from "./extractTrKeys.js";
+import { findWrapCandidates } from "./wrapTransforms.js";
+
+export const LINT_RULES = {
+    "jsx-text": "JSX text is not translated",
+    "jsx-attribute": "User-facing attribute is not translated",
+    "call-argument": "String passed to a user-facing call is not translated",
+    "object-property": "Message property is not translated",
+    "error-message": "Error message shown to users is not translated",
+};
+
+// The message heuristics (see the "messages" preset) guess more, so they only warn
+const DEFAULT_SEVERITY = {
+    "jsx-text": "error",
+    "jsx-attribute": "error",
+    "call-argument": "warn",
+    "object-property": "warn",
+    "error-message": "warn",
+};
+
+const SEVERITIES = ["error", "warn", "off"];
+
+const RULE_BY_KIND = {
+    text: "jsx-text",
+    trans: "jsx-text",
+    attribute: "jsx-attribute",
+    call: "call-argument",
+    property: "object-property",
+    throw: "error-message",
+};
+
+const DIRECTIVE = /(?:\/\/|\/\*)\s*i18n-lint-(disable-next-line|disable-line|disable|enable)(?![\w-])(.*?)(?:\*\/|$)/g;
+
+/**
+ * Severity of each rule, config.lintRules over the defaults
+ */
+export function getLintSeverities(config) {
+    const severities = { ...DEFAULT_SEVERITY, ...config.lintRules };
+    for (const [rule, severity] of Object.entries(severities)) {
+        if (!LINT_RULES[rule]) {
+            throw new Error(`Unknown lint rule "${rule}", use one of: ${Object.keys(LINT_RULES).join(", ")}`);
+        }
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Lint rule "${rule}" has severity "${severity}", use one of: ${SEVERITIES.join(", ")}`);
+        }
+    }
+    return severities;
+}
+
+/**
+ * The lint rule of a wrapExistingText candidate
+ */
+export function getLintRule(candidate) {
+    return RULE_BY_KIND[candidate.kind];
+}
+
+/**
+ * Read the disable comments of a file. Returns (line, rule) => boolean
+ */
+function parseDisableComments(content) {
+    const lineRules = new Map(); // line -> [rule lists, null for all rules]
+    const blocks = []; // { from, to, rules }
+    let openBlock = null;
+
+    content.split("\n").forEach((text, index) => {
+        const line = index + 1;
+        for (const match of text.matchAll(DIRECTIVE)) {
+            const listed = match[2].split(/[\s,]+/).filter(Boolean);
+            const rules = listed.length > 0 ? listed : null;
+
+            if (match[1] === "disable-next-line" || match[1] === "disable-line") {
+                const target = match[1] === "disable-line" ? line : line + 1;
+                lineRules.set(target, [...(lineRules.get(target) || []), rules]);
+            } else if (match[1] === "disable") {
+                openBlock = { from: line, to: Infinity, rules };
+                blocks.push(openBlock);
+            } else if (openBlock) {
+                openBlock.to = line;
+                openBlock = null;
+            }
+        }
+    });
+
+    const covers = (rules, rule) => rules === null || rules.includes(rule);
+    return (line, rule) =>
+        (lineRules.get(line) || []).some((rules) => covers(rules, rule)) ||
+        blocks.some((block) => line >= block.from && line <= block.to && covers(block.rules, rule));
+}
+
+/**
+ * Checker telling whether a comment turns off the rule of a candidate, on any
+ * line from its element (or attribute, call, ...) to the string. Create one
+ * per file: the comments are parsed again only when its content changes.
+ */
+export function createLintDisabledCheck() {
+    let parsedContent = null;
+    let isRuleDisabled = null;
+
+    return (content, candidate) => {
+        if (content !== parsedContent) {
+            parsedContent = content;
+            isRuleDisabled = parseDisableComments(content);
+        }
+        const rule = getLintRule(candidate);
+        for (let line = candidate.nodeLine; line <= candidate.line; line++) {
+            if (isRuleDisabled(line, rule)) return true;
+        }
+        return false;
+    };
+}
+
+/**
+ * Lint findings for a file: { rule, severity, message, file, line, column }
+ * for every string wrapExistingText.js would wrap, minus the disabled ones,
+ * the rules that are off and the strings in `skip` (see wrapReview.js)
+ */
+export function findHardcodedStrings(
+    ts,
+    filePath,
+    fileName,
+    content,
+    rules,
+    severities,
+    skip = [],
+    isDisabled = createLintDisabledCheck()
+) {
+    const candidates = findWrapCandidates(ts, parseSource(ts, filePath, content), rules);
+
+    // Text inside a <Trans> candidate becomes part of its key
+    const transCandidates = candidates.filter((candidate) => candidate.kind === "trans");
+    const isInsideTrans = (candidate) =>
+        getLintRule(candidate) === "jsx-text" &&
+        transCandidates.some(
+            (trans) => trans !== candidate && candidate.start >= trans.start && candidate.end <= trans.end
+        );
+
+    return candidates
+        .filter(
+            (candidate) =>
+                severities[getLintRule(candidate)] !== "off" &&
+                !isInsideTrans(candidate) &&
+                !skip.includes(candidate.key) &&
+                !isDisabled(content, candidate)
+        )
+        .map((candidate) => {
+            const rule = getLintRule(candidate);
+            const wrapper = candidate.kind === "trans" ? "<Trans>" : "tr()";
+            return {
+                rule,
+                severity: severities[rule],
+                message: `${candidate.label}: "${candidate.key}" is not wrapped in ${wrapper}`,
+                file: fileName,
+                line: candidate.line,
+                column: candidate.column,
+            };
+        });
+}
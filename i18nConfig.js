@@ -0,0 +1,391 @@
+/**
+ * i18nConfig - Shared configuration for the translation scripts
+ *
+ * Every script loads `i18n.config.js` (or `i18n.config.json`) from the project
+ * root, fills in defaults for anything missing and lets CLI flags override it:
+ *
+ *   --config <file>            Use a specific config file
+ *   --root <dir>               Project root (default: parent of the scripts dir)
+ *   --src <dirs>               Comma-separated source roots
+ *   --include <globs>          Comma-separated include globs
+ *   --exclude <globs>          Comma-separated exclude globs
+ *   --translations-dir <dir>   Directory holding the locale files
+ *   --locales <codes>          Comma-separated locale codes
+ *   --canonical-locale <code>  Locale whose keys are the source of truth
+ *   --functions <names>        Comma-separated function names treated as tr()
+ *   --wrappers <names>         Comma-separated components wrapped by wrapExistingText
+ *   --message-format <format>  "simple" ({param} only) or "icu" (ICU MessageFormat)
+ *
+ * Example i18n.config.js:
+ *
+ *   export default {
+ *       sourceRoots: ["src"],
+ *       translationsDir: "src/locales",
+ *       locales: ["en", "de", "fr"],
+ *   };
+ */
+
+import fs from "fs";
+import { createRequire } from "module";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { LOCALES } from "./localeMetadata.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_FILES = ["i18n.config.js", "i18n.config.mjs", "i18n.config.json"];
+
+// Supported locales, see the table in localeMetadata.js
+const DEFAULT_LOCALES = Object.keys(LOCALES);
+
+export const DEFAULT_CONFIG = {
+    sourceRoots: ["app"],
+    include: ["**/*.{ts,tsx,js,jsx}"],
+    exclude: ["**/node_modules/**", "**/build/**", "**/.git/**"],
+    translationsDir: "app/translations",
+    locales: DEFAULT_LOCALES,
+    canonicalLocale: "en",
+    functionNames: ["tr"],
+    // Hooks whose return value is a tr() function, e.g. const t = useTr()
+    hookNames: ["useTr"],
+    // Components whose i18nKey prop is a key, e.g. <Trans i18nKey="Read our <link>terms</link>" />
+    transComponents: ["Trans"],
+    // "icu" when I18nProvider uses messageFormat="icu"; translations are then
+    // validated as ICU MessageFormat before merging
+    messageFormat: "simple",
+    // What wrapExistingText.js wraps (see wrapPresets.js): presets ("polaris",
+    // "html", "mui", "chakra", "messages") and rules of your own
+    wrapRules: {
+        presets: ["polaris", "messages"],
+        rules: [],
+    },
+    // More components whose text wrapExistingText.js wraps, on top of wrapRules
+    wrapperComponents: [],
+    // Files/Directories wrapExistingText.js never touches, for safety
+    wrapperExclude: [
+        "app/root.jsx",
+        "app/entry.client.tsx",
+        "app/entry.server.jsx",
+        "app/routes/auth.login*",
+        "app/routes/auth.login*/**",
+        "app/emailTemplates/**",
+        "**/contexts/I18nContext.*",
+    ],
+    // Strings wrapExistingText.js always skips and keys it was told to use
+    // (see wrapReview.js), default: <translationsDir>/wrapDecisions.json
+    wrapDecisions: null,
+    // lintStrings.js severity per rule ("error", "warn" or "off") over the
+    // defaults in hardcodedStrings.js, e.g. { "error-message": "off" }
+    lintRules: {},
+    // Runtime key dumps written from createKeyCollector() (see runtimeKeys.js),
+    // default: <translationsDir>/runtimeKeys.json
+    runtimeKeys: null,
+    // Fallback chains, e.g. { "zh-TW": ["zh-CN"] }. Other locales fall back to
+    // their BCP-47 parents (pt-BR -> pt) that are in the locale list. Missing
+    // translations a fallback covers aren't queued, unless strictFallbacks is set
+    fallbacks: {},
+    strictFallbacks: false,
+    // Locale file format: json, nested-json, yaml, po, xliff12, xliff20 or arb
+    // (see localeFiles.js). keySeparator splits keys for nested-json
+    files: {
+        format: "json",
+        keySeparator: ".",
+    },
+    // Translation memory (_memory.json) used to suggest translations for new keys
+    memory: {
+        enabled: true,
+        fuzzyThreshold: 0.75,
+    },
+    // Orphaned keys move to <translationsDir>/_archive.json and are purged after
+    // graceDays days or graceRuns runs (null disables a limit). dynamicKeys is
+    // the allowlist file (default: <translationsDir>/dynamicKeys.json)
+    orphans: {
+        archive: true,
+        graceDays: 30,
+        graceRuns: null,
+        dynamicKeys: null,
+    },
+    // Per-route bundles for lazy loading (see bundles.js). strategy is "route"
+    // (one bundle per module in routesDir) or "directory" (first `depth`
+    // directories below the source root); outDir defaults to <translationsDir>/bundles
+    bundles: {
+        enabled: false,
+        strategy: "route",
+        routesDir: "app/routes",
+        depth: 1,
+        shared: "common",
+        outDir: null,
+    },
+    // Pseudo-locales generated from the canonical file for UI testing (see
+    // pseudoLocalize.js), e.g. ["en-XA", "ar-XB"]. expansion pads strings
+    // (0.3 = 30% longer), brackets mark their start and end (null for none)
+    pseudo: {
+        locales: [],
+        expansion: 0.3,
+        brackets: ["[", "]"],
+    },
+    // Glossary and do-not-translate terms (default: <translationsDir>/glossary.json)
+    glossary: null,
+    // Module that exports useTr(), relative to the project root
+    i18nModule: "app/contexts/I18nContext",
+    // Module that exports getServerT(request), the tr() wrapExistingText.js
+    // uses in loaders and actions (see README)
+    i18nServerModule: "app/i18n.server",
+    // translateTranslations.js settings (see translationProviders.js)
+    translate: {
+        provider: "openai",
+        batchSize: 40,
+        retries: 2,
+    },
+};
+
+// CLI flag -> config key, for flags that take a comma-separated list
+const LIST_FLAGS = {
+    "--src": "sourceRoots",
+    "--include": "include",
+    "--exclude": "exclude",
+    "--locales": "locales",
+    "--functions": "functionNames",
+    "--wrappers": "wrapperComponents",
+    "--runtime-keys": "runtimeKeys",
+};
+
+// CLI flag -> config key, for flags that take a single value
+const VALUE_FLAGS = {
+    "--translations-dir": "translationsDir",
+    "--canonical-locale": "canonicalLocale",
+    "--message-format": "messageFormat",
+};
+
+/**
+ * Read the value of a `--flag value` or `--flag=value` CLI argument
+ */
+export function getArg(name, argv = process.argv) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === name) {
+            const next = argv[i + 1];
+            return next !== undefined && !next.startsWith("--") ? next : "";
+        }
+        if (argv[i].startsWith(`${name}=`)) {
+            return argv[i].slice(name.length + 1);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Check whether a boolean CLI flag is present
+ */
+export function hasFlag(name, argv = process.argv) {
+    return argv.includes(name);
+}
+
+function splitList(value) {
+    return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Convert a glob (supports **, *, ?, {a,b}) into a RegExp matching
+ * forward-slash relative paths
+ */
+export function globToRegExp(glob) {
+    let source = "";
+    let inGroup = false;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === "*") {
+            if (glob[i + 1] === "*") {
+                // "**/" matches zero or more directories
+                if (glob[i + 2] === "/") {
+                    source += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    source += ".*";
+                    i += 1;
+                }
+            } else {
+                source += "[^/]*";
+            }
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "{") {
+            inGroup = true;
+            source += "(?:";
+        } else if (char === "}" && inGroup) {
+            inGroup = false;
+            source += ")";
+        } else if (char === "," && inGroup) {
+            source += "|";
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a path (relative to the project root) against a list of globs
+ */
+export function matchesAnyGlob(relativePath, globs) {
+    const normalized = relativePath.split(path.sep).join("/");
+    return globs.some((glob) => globToRegExp(glob).test(normalized));
+}
+
+async function readConfigFile(filePath) {
+    if (filePath.endsWith(".json")) {
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    }
+
+    const module = await import(pathToFileURL(filePath).href);
+    return module.default || module;
+}
+
+/**
+ * Load i18n.config from the project root, apply defaults and CLI overrides.
+ * Paths in the returned config are absolute.
+ */
+export async function loadConfig(argv = process.argv) {
+    const rootArg = getArg("--root", argv);
+    const projectRoot = rootArg
+        ? path.resolve(rootArg)
+        : path.resolve(__dirname, "..");
+
+    const configArg = getArg("--config", argv);
+    let configPath = null;
+
+    if (configArg) {
+        configPath = path.resolve(configArg);
+        if (!fs.existsSync(configPath)) {
+            throw new Error(`Config file not found: ${configPath}`);
+        }
+    } else {
+        configPath =
+            CONFIG_FILES.map((file) => path.join(projectRoot, file)).find(
+                (file) => fs.existsSync(file)
+            ) || null;
+    }
+
+    const fileConfig = configPath ? await readConfigFile(configPath) : {};
+    const config = { ...DEFAULT_CONFIG, ...fileConfig };
+
+    // Nested sections (like translate) are merged with their defaults, not replaced
+    for (const [key, value] of Object.entries(DEFAULT_CONFIG)) {
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+            config[key] = { ...value, ...fileConfig[key] };
+        }
+    }
+
+    for (const [flag, key] of Object.entries(LIST_FLAGS)) {
+        const value = getArg(flag, argv);
+        if (value) config[key] = splitList(value);
+    }
+
+    for (const [flag, key] of Object.entries(VALUE_FLAGS)) {
+        const value = getArg(flag, argv);
+        if (value) config[key] = value;
+    }
+
+    if (!config.locales.includes(config.canonicalLocale)) {
+        throw new Error(
+            `Canonical locale '${config.canonicalLocale}' is not in the locale list`
+        );
+    }
+
+    return {
+        ...config,
+        configPath,
+        projectRoot,
+        sourceRoots: config.sourceRoots.map((dir) => path.resolve(projectRoot, dir)),
+        translationsDir: path.resolve(projectRoot, config.translationsDir),
+        i18nModule: path.resolve(projectRoot, config.i18nModule),
+        i18nServerModule: path.resolve(projectRoot, config.i18nServerModule),
+    };
+}
+
+/**
+ * Locales a locale falls back to, closest first (never the canonical locale):
+ * config.fallbacks[locale], or its BCP-47 parents that are in config.locales
+ */
+export function getFallbackChain(config, locale) {
+    const findConfigured = (candidate) =>
+        config.locales.find((configured) => configured.toLowerCase() === candidate.toLowerCase());
+
+    const explicitKey = Object.keys(config.fallbacks).find(
+        (key) => key.toLowerCase() === locale.toLowerCase()
+    );
+    const subtags = locale.split(/[-_]/);
+    const candidates = explicitKey
+        ? [].concat(config.fallbacks[explicitKey])
+        : subtags.slice(1).map((_, index) => subtags.slice(0, subtags.length - 1 - index).join("-"));
+
+    return [...new Set(candidates.map(findConfigured).filter(Boolean))].filter(
+        (fallback) => fallback !== locale && fallback !== config.canonicalLocale
+    );
+}
+
+/**
+ * Recursively find source files under the configured source roots that match
+ * the include globs and none of the exclude globs
+ */
+export function findSourceFiles(config, extraExclude = []) {
+    const files = [];
+    const exclude = [...config.exclude, ...extraExclude];
+
+    function scanDirectory(currentDir) {
+        const entries = fs.readdirSync(currentDir);
+
+        for (const entry of entries) {
+            const fullPath = path.join(currentDir, entry);
+            const relativePath = path.relative(config.projectRoot, fullPath);
+            const stat = fs.statSync(fullPath);
+
+            if (stat.isDirectory()) {
+                // Skip node_modules, build, etc.
+                if (!matchesAnyGlob(relativePath + "/", exclude)) {
+                    scanDirectory(fullPath);
+                }
+            } else if (stat.isFile()) {
+                if (
+                    matchesAnyGlob(relativePath, config.include) &&
+                    !matchesAnyGlob(relativePath, exclude)
+                ) {
+                    files.push(fullPath);
+                }
+            }
+        }
+    }
+
+    for (const sourceRoot of config.sourceRoots) {
+        if (fs.existsSync(sourceRoot)) {
+            scanDirectory(sourceRoot);
+        } else {
+            console.warn(`Warning: Source root ${sourceRoot} does not exist`);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Load the TypeScript compiler from the project's own node_modules.
+ * It parses JS, JSX, TS and TSX, so no extra parser package is needed.
+ */
+export function loadTypeScript(config) {
+    const require = createRequire(path.join(config.projectRoot, "package.json"));
+
+    try {
+        return require("typescript");
+    } catch (error) {
+        throw new Error(
+            `Could not load the "typescript" package from ${config.projectRoot}. ` +
+                `Install it with: npm install --save-dev typescript`
+        );
+    }
+}
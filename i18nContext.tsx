@@ -1,46 +1,464 @@
-import React, { createContext, useContext, ReactNode } from "react";
+import React, {
+    cloneElement,
+    createContext,
+    Fragment,
+    useContext,
+    useEffect,
+    useMemo,
+    useRef,
+    useState,
+    ReactElement,
+    ReactNode,
+} from "react";
+import { getLocaleInfo, LocaleInfo, TextDirection } from "./localeMetadata";
+import { formatMessage, parseMessage, MessageNode } from "./messageFormat";
+
+// Separates the English text from its context in stored keys: "Open\u0004store status"
+const CONTEXT_SEPARATOR = "\u0004";
+
+type TrParams = Record<string, string | number | Date> & {
+    // Disambiguates identical English strings, e.g. tr("Open", { context: "store status" })
+    context?: string;
+    // Selects a plural form, e.g. tr("{count} items", { count })
+    count?: number;
+};
+
+// Plural translations hold one form per CLDR category: { one: "...", other: "..." }
+type PluralForms = Partial<Record<Intl.LDMLPluralRule, string>>;
+type TranslationValue = string | PluralForms;
+type Translations = Record<string, TranslationValue>;
+
+// Loads one bundle written by updateTranslations.js (see bundles.js), e.g.
+// (locale, bundle) => import(`../translations/bundles/${locale}/${bundle}.json`).then((m) => m.default)
+type BundleLoader = (locale: string, bundle: string) => Promise<Translations>;
+
+export type TrFunction = (key: string, params?: TrParams) => string;
+
+type BundleEntry =
+    | { status: "pending"; promise: Promise<void> }
+    | { status: "loaded"; translations: Translations }
+    | { status: "error"; error: unknown };
+
+// Intl formatters bound to the current locale, see useFormatters()
+export interface Formatters {
+    number: (value: number | bigint, options?: Intl.NumberFormatOptions) => string;
+    date: (value: Date | number, options?: Intl.DateTimeFormatOptions) => string;
+    list: (items: string[], options?: Intl.ListFormatOptions) => string;
+    relativeTime: (
+        value: number,
+        unit: Intl.RelativeTimeFormatUnit,
+        options?: Intl.RelativeTimeFormatOptions
+    ) => string;
+    // Language names by default: displayName("de") is "Deutsch" in German
+    displayName: (code: string, options?: Partial<Intl.DisplayNamesOptions>) => string;
+}
 
 interface I18nContextType {
     locale: string;
-    tr: (key: string, params?: Record<string, string | number>) => string;
+    // BCP-47 tag, direction and names of the locale (see localeMetadata.js)
+    info: LocaleInfo;
+    formatters: Formatters;
+    fallbackLocales: string[];
+    tr: TrFunction;
+    requireBundle: (bundle: string, bundleLocale: string) => BundleEntry;
+    // How many I18nProviders are around this one, see t()
+    depth: number;
 }
 
 const I18nContext = createContext<I18nContextType | null>(null);
 
+// The mounted I18nProviders (only in the browser, effects don't run on the
+// server), in mount order. t() uses the innermost one.
+const mountedProviders: { depth: number; tr: { current: TrFunction } }[] = [];
+
+function interpolate(translation: string, params?: TrParams): string {
+    if (!params) return translation;
+
+    // Replace placeholders if params are provided
+    Object.entries(params).forEach(([paramKey, paramValue]) => {
+        if (paramKey === "context") return;
+        translation = translation.replace(
+            new RegExp(`{${paramKey}}`, "g"),
+            String(paramValue)
+        );
+    });
+
+    return translation;
+}
+
+// tr() for class components, which can't call useTr(). The provider's tr(), so
+// server and browser render the same text:
+//   static contextType = TrContext;
+//   declare context: TrFunction;
+//   render() { const tr = this.context; ... }
+export const TrContext = createContext<TrFunction>((key, params) => interpolate(key, params));
+
+// Creating Intl objects is much slower than formatting, so they are cached per options
+function createFormatters(tag: string): Formatters {
+    const cache = new Map<string, unknown>();
+    const get = <T,>(kind: string, options: object | undefined, create: () => T): T => {
+        const cacheKey = `${kind}:${JSON.stringify(options ?? {})}`;
+        if (!cache.has(cacheKey)) cache.set(cacheKey, create());
+        return cache.get(cacheKey) as T;
+    };
+
+    return {
+        number: (value, options) =>
+            get("number", options, () => new Intl.NumberFormat(tag, options)).format(value),
+        date: (value, options) =>
+            get("date", options, () => new Intl.DateTimeFormat(tag, options)).format(value),
+        list: (items, options) =>
+            get("list", options, () => new Intl.ListFormat(tag, options)).format(items),
+        relativeTime: (value, unit, options) =>
+            get("relativeTime", options, () => new Intl.RelativeTimeFormat(tag, options)).format(
+                value,
+                unit
+            ),
+        displayName: (code, options) =>
+            get(
+                "displayName",
+                options,
+                () => new Intl.DisplayNames([tag], { type: "language", ...options })
+            ).of(code) ?? code,
+    };
+}
+
+// Used by the hooks when there is no I18nProvider
+const defaultInfo = getLocaleInfo("en");
+const defaultFormatters = createFormatters(defaultInfo.tag);
+
+// BCP-47 parents of a locale, closest first: "zh-Hant-TW" -> ["zh-Hant", "zh"]
+export function getParentLocales(locale: string): string[] {
+    const subtags = locale.split(/[-_]/);
+    const parents: string[] = [];
+    for (let length = subtags.length - 1; length > 0; length--) {
+        parents.push(subtags.slice(0, length).join("-"));
+    }
+    return parents;
+}
+
+function findLocale<T>(byLocale: Record<string, T> | undefined, locale: string): T | undefined {
+    if (!byLocale) return undefined;
+    if (locale in byLocale) return byLocale[locale];
+    const match = Object.keys(byLocale).find((candidate) => candidate.toLowerCase() === locale.toLowerCase());
+    return match ? byLocale[match] : undefined;
+}
+
+// Keys seen at runtime, as read by updateTranslations.js (see runtimeKeys.js):
+// { keys: { [key]: { locales: [...], missing: [...], plural?: true, lastSeen: ISO date } } }
+interface RuntimeKeysDump {
+    keys: Record<string, { locales: string[]; missing: string[]; plural?: true; lastSeen: string }>;
+}
+
+export interface KeyCollector {
+    record: (key: string, locale: string, missing: boolean, plural: boolean) => void;
+    toJSON: () => RuntimeKeysDump;
+}
+
+// Collects every key tr() is called with. Pass it to I18nProvider and write
+// JSON.stringify(collector) to a file (e.g. from a server route) so
+// updateTranslations.js can pick up keys the static scanner can't see.
+export function createKeyCollector(): KeyCollector {
+    const keys = new Map<
+        string,
+        { locales: Set<string>; missing: Set<string>; plural: boolean; lastSeen: number }
+    >();
+
+    return {
+        record(key, locale, missing, plural) {
+            if (!keys.has(key)) {
+                keys.set(key, { locales: new Set(), missing: new Set(), plural: false, lastSeen: 0 });
+            }
+            const entry = keys.get(key)!;
+            // Keys not seen for config.orphans.graceDays are no longer kept
+            entry.lastSeen = Date.now();
+            entry.locales.add(locale);
+            if (missing) entry.missing.add(locale);
+            if (plural) entry.plural = true;
+        },
+        toJSON() {
+            const dump: RuntimeKeysDump = { keys: {} };
+            for (const key of [...keys.keys()].sort()) {
+                const entry = keys.get(key)!;
+                dump.keys[key] = {
+                    locales: [...entry.locales].sort(),
+                    missing: [...entry.missing].sort(),
+                    ...(entry.plural ? { plural: true as const } : {}),
+                    lastSeen: new Date(entry.lastSeen).toISOString(),
+                };
+            }
+            return dump;
+        },
+    };
+}
+
+const defaultMissingMarker = (text: string) => `⟦${text}⟧`;
+
+interface TrOptions {
+    locale: string;
+    // The locale itself, then its fallbacks; the English key comes last
+    chain: string[];
+    lookup: (chainLocale: string, storedKey: string) => TranslationValue | undefined;
+    pluralRules: Intl.PluralRules;
+    messageFormat: "simple" | "icu";
+    // Parsed ICU messages per key (null when a message doesn't parse)
+    messageCache: Map<string, MessageNode[] | null>;
+    markMissing?: boolean | ((text: string, key: string) => string);
+    // Called on every call, missing when it fell back to the key
+    onLookup?: (storedKey: string, missing: boolean, params?: TrParams) => void;
+}
+
+// The tr() of I18nProvider and createT()
+function createTr({
+    locale,
+    chain,
+    lookup,
+    pluralRules,
+    messageFormat,
+    messageCache,
+    markMissing,
+    onLookup,
+}: TrOptions): TrFunction {
+    const formatIcu = (cacheKey: string, message: string, params?: TrParams) => {
+        if (!messageCache.has(cacheKey)) {
+            try {
+                messageCache.set(cacheKey, parseMessage(message));
+            } catch (error) {
+                console.error(`Invalid ICU message for "${cacheKey}":`, error);
+                messageCache.set(cacheKey, null);
+            }
+        }
+
+        const nodes = messageCache.get(cacheKey);
+        return nodes
+            ? formatMessage(nodes, params, locale)
+            : interpolate(message, params);
+    };
+
+    return (key, params) => {
+        const storedKey = params?.context
+            ? `${key}${CONTEXT_SEPARATOR}${params.context}`
+            : key;
+
+        // Use the first locale in the chain with a non-empty translation,
+        // otherwise the key itself
+        let translation = key;
+        let cacheKey = `${storedKey}#key`;
+        for (const chainLocale of chain) {
+            const value = lookup(chainLocale, storedKey);
+            let candidate: string | undefined;
+            let form = "";
+            if (typeof value === "object" && value !== null) {
+                // Pick the plural form for count, falling back to "other"
+                const category =
+                    params?.count !== undefined
+                        ? pluralRules.select(Number(params.count))
+                        : "other";
+                candidate = value[category] || value.other;
+                form = `#${value[category] ? category : "other"}`;
+            } else {
+                candidate = value;
+            }
+
+            if (candidate && candidate.trim() !== "") {
+                translation = candidate;
+                cacheKey = `${chainLocale}/${storedKey}${form}`;
+                break;
+            }
+        }
+
+        const missing = cacheKey === `${storedKey}#key`;
+        onLookup?.(storedKey, missing, params);
+
+        const text =
+            messageFormat === "icu"
+                ? formatIcu(cacheKey, translation, params)
+                : interpolate(translation, params);
+
+        if (missing && markMissing) {
+            const marker = typeof markMissing === "function" ? markMissing : defaultMissingMarker;
+            return marker(text, storedKey);
+        }
+        return text;
+    };
+}
+
+interface CreateTOptions {
+    // Same as the I18nProvider props
+    fallbackLocales?: string[];
+    fallbackTranslations?: Record<string, Translations>;
+    messageFormat?: "simple" | "icu";
+}
+
+// tr() bound to a locale, for code outside of components: loaders and
+// actions, where every request can have its own locale. Translates like
+// I18nProvider does, e.g. createT("de", de)("Save") is "Speichern".
+export function createT(
+    locale: string,
+    translations: Translations,
+    {
+        fallbackLocales = getParentLocales(locale),
+        fallbackTranslations,
+        messageFormat = "simple",
+    }: CreateTOptions = {}
+): TrFunction {
+    return createTr({
+        locale,
+        chain: [locale, ...fallbackLocales.filter((fallback) => fallback !== locale)],
+        lookup: (chainLocale, storedKey) => {
+            const source =
+                chainLocale === locale ? translations : findLocale(fallbackTranslations, chainLocale);
+            return source?.[storedKey];
+        },
+        pluralRules: new Intl.PluralRules(locale),
+        messageFormat,
+        messageCache: new Map(),
+    });
+}
+
 interface I18nProviderProps {
     locale: string;
-    translations: Record<string, string>;
+    // Translations available right away (the whole {locale}.json, or the shared bundle)
+    translations: Translations;
+    // Locales tried, in order, when a translation is missing or empty, e.g.
+    // ["zh-CN"] for "zh-TW". Defaults to the BCP-47 parents ("pt" for "pt-BR").
+    fallbackLocales?: string[];
+    // Translations of the fallback locales: { pt: { ... } }
+    fallbackTranslations?: Record<string, Translations>;
+    // Loads more bundles on demand, see useBundle()
+    loadBundle?: BundleLoader;
+    // "icu" formats translations as ICU MessageFormat ({n, plural, ...}, {d, date}, ...)
+    messageFormat?: "simple" | "icu";
+    // Called once per key and locale when tr() has to fall back to the key.
+    // The key includes the context ("Open\u0004store status") like the locale files.
+    onMissingKey?: (key: string, locale: string) => void;
+    // Development aid: marks missing translations on screen, "⟦Save⟧" by default
+    markMissing?: boolean | ((text: string, key: string) => string);
+    // Records every key tr() is called with, see createKeyCollector()
+    collector?: KeyCollector;
     children: ReactNode;
 }
 
 export function I18nProvider({
     locale,
     translations,
+    fallbackLocales = getParentLocales(locale),
+    fallbackTranslations,
+    loadBundle,
+    messageFormat = "simple",
+    onMissingKey,
+    markMissing = false,
+    collector,
     children,
 }: I18nProviderProps) {
-    const tr = (key: string, params?: Record<string, string | number>): string => {
-        // Return translation if it exists and is not empty, otherwise return the key itself
-        let translation = translations[key];
-        if (!translation || translation.trim() === "") {
-            translation = key;
-        }
+    const pluralRules = useMemo(() => new Intl.PluralRules(locale), [locale]);
+    const info = useMemo(() => getLocaleInfo(locale), [locale]);
+    const formatters = useMemo(() => createFormatters(info.tag), [info.tag]);
+    // "locale/key" pairs already passed to onMissingKey, so re-renders don't repeat them
+    const reportedMissing = useRef(new Set<string>());
+    // Bundles per "locale/bundle", kept across renders so each one loads once
+    const bundleCache = useRef(new Map<string, BundleEntry>());
+    const [bundleVersion, setBundleVersion] = useState(0);
+
+    // The locale itself, then its fallbacks; the English key comes last
+    const chain = [locale, ...fallbackLocales.filter((fallback) => fallback !== locale)];
+
+    const requireBundle = (bundle: string, bundleLocale: string): BundleEntry => {
+        const cacheKey = `${bundleLocale}/${bundle}`;
+        const cached = bundleCache.current.get(cacheKey);
+        if (cached) return cached;
 
-        // Replace placeholders if params are provided
-        if (params) {
-            Object.entries(params).forEach(([paramKey, paramValue]) => {
-                translation = translation.replace(
-                    new RegExp(`{${paramKey}}`, "g"),
-                    String(paramValue)
-                );
-            });
+        if (!loadBundle) {
+            throw new Error(`useBundle("${bundle}") needs a loadBundle prop on I18nProvider`);
         }
 
-        return translation;
+        const promise = loadBundle(bundleLocale, bundle).then(
+            (bundleTranslations) => {
+                bundleCache.current.set(cacheKey, {
+                    status: "loaded",
+                    translations: bundleTranslations,
+                });
+                setBundleVersion((version) => version + 1);
+            },
+            (error) => {
+                bundleCache.current.set(cacheKey, { status: "error", error });
+            }
+        );
+        const entry: BundleEntry = { status: "pending", promise };
+        bundleCache.current.set(cacheKey, entry);
+        return entry;
     };
 
+    // Bundles loaded for a locale first, then its translations. Read at call
+    // time, so components rendered after a bundle loads see it right away
+    // (also during server rendering, where state updates are ignored).
+    const lookup = (chainLocale: string, storedKey: string): TranslationValue | undefined => {
+        for (const [cacheKey, entry] of bundleCache.current) {
+            if (
+                entry.status === "loaded" &&
+                cacheKey.startsWith(`${chainLocale}/`) &&
+                storedKey in entry.translations
+            ) {
+                return entry.translations[storedKey];
+            }
+        }
+        const source =
+            chainLocale === locale ? translations : findLocale(fallbackTranslations, chainLocale);
+        return source?.[storedKey];
+    };
+
+    // Parsed ICU messages per key (null when a message doesn't parse)
+    const messageCache = useMemo(
+        () => new Map<string, MessageNode[] | null>(),
+        [translations, fallbackTranslations, bundleVersion]
+    );
+
+    const tr = createTr({
+        locale,
+        chain,
+        lookup,
+        pluralRules,
+        messageFormat,
+        messageCache,
+        markMissing,
+        onLookup: (storedKey, missing, params) => {
+            collector?.record(storedKey, locale, missing, params?.count !== undefined);
+            if (missing && onMissingKey && !reportedMissing.current.has(`${locale}/${storedKey}`)) {
+                reportedMissing.current.add(`${locale}/${storedKey}`);
+                onMissingKey(storedKey, locale);
+            }
+        },
+    });
+
+    // Registered after commit, so renders that are thrown away (StrictMode,
+    // concurrent rendering) don't change what t() uses
+    const parent = useContext(I18nContext);
+    const depth = parent ? parent.depth + 1 : 0;
+    const trRef = useRef(tr);
+    useEffect(() => {
+        trRef.current = tr;
+    });
+    useEffect(() => {
+        const entry = { depth, tr: trRef };
+        mountedProviders.push(entry);
+        return () => {
+            mountedProviders.splice(mountedProviders.indexOf(entry), 1);
+        };
+    }, [depth]);
+
     return (
-        <I18nContext.Provider value={{ locale, tr }}>
-            {children}
+        <I18nContext.Provider
+            value={{
+                locale,
+                info,
+                formatters,
+                fallbackLocales: chain.slice(1),
+                tr,
+                requireBundle,
+                depth,
+            }}
+        >
+            <TrContext.Provider value={tr}>{children}</TrContext.Provider>
         </I18nContext.Provider>
     );
 }
@@ -49,22 +467,130 @@ export function useTr() {
     const context = useContext(I18nContext);
     if (!context) {
         // Fallback if context is missing, still supports params for development/testing
-        return (key: string, params?: Record<string, string | number>) => {
-            let translation = key;
-            if (params) {
-                Object.entries(params).forEach(([paramKey, paramValue]) => {
-                    translation = translation.replace(
-                        new RegExp(`{${paramKey}}`, "g"),
-                        String(paramValue)
-                    );
-                });
-            }
-            return translation;
-        };
+        return (key: string, params?: TrParams) => interpolate(key, params);
     }
     return context.tr;
 }
 
+// tr() for plain functions that can't call hooks, like toast helpers. In the
+// browser it translates with the innermost mounted I18nProvider (the last
+// mounted one if there are several); on the server and before a provider
+// mounts it returns the English text (with params).
+// Loaders and actions use createT(), class components TrContext.
+export function t(key: string, params?: TrParams): string {
+    let active: (typeof mountedProviders)[number] | undefined;
+    for (const entry of mountedProviders) {
+        if (!active || entry.depth >= active.depth) active = entry;
+    }
+    return active ? active.tr.current(key, params) : interpolate(key, params);
+}
+
+// Loads translation bundles for the current locale before rendering, e.g.
+// useBundle("routes/app.settings") in a route module. Suspends while they
+// load, so render it inside <Suspense>.
+export function useBundle(...bundles: string[]) {
+    const context = useContext(I18nContext);
+    if (!context) return;
+
+    // Start every load before suspending, so they run in parallel. Bundles of
+    // the fallback locales are loaded too; a fallback bundle that fails to
+    // load is skipped.
+    const entries = bundles.flatMap((bundle) => [
+        { entry: context.requireBundle(bundle, context.locale), fallback: false },
+        ...context.fallbackLocales.map((fallbackLocale) => ({
+            entry: context.requireBundle(bundle, fallbackLocale),
+            fallback: true,
+        })),
+    ]);
+    for (const { entry, fallback } of entries) {
+        if (entry.status === "pending") throw entry.promise;
+        if (entry.status === "error" && !fallback) throw entry.error;
+    }
+}
+
+// Rich-text translations mark segments with tags that the caller maps to
+// elements: "Read our <link>terms</link>" with { link: <Link url="/terms" /> }
+const TAG_PATTERN = /<(\/?)([A-Za-z][\w.-]*)\s*(\/?)>/g;
+// Stands in for "<" in param values while tags are parsed, so values can't add tags
+const ESCAPED_LT = "\uE000";
+
+type RichComponents = Record<string, ReactElement>;
+
+// Turns tagged text into React nodes. Paired tags replace the children of
+// their element, self-closing tags (<br/>) render the element as is. Tags
+// without an element keep only their content; unbalanced tags stay text.
+function renderRich(text: string, components: RichComponents): ReactNode[] {
+    const root: ReactNode[] = [];
+    const stack: { name: string; tag: string; children: ReactNode[] }[] = [];
+    const current = () => (stack.length > 0 ? stack[stack.length - 1].children : root);
+
+    const addText = (value: string) => {
+        if (value) current().push(value.split(ESCAPED_LT).join("<"));
+    };
+    const addElement = (name: string, children?: ReactNode[]) => {
+        const component = components[name];
+        const key = current().length;
+        if (!component) {
+            current().push(<Fragment key={key}>{children}</Fragment>);
+        } else if (children) {
+            current().push(cloneElement(component, { key }, ...children));
+        } else {
+            current().push(cloneElement(component, { key }));
+        }
+    };
+
+    let index = 0;
+    for (const match of text.matchAll(TAG_PATTERN)) {
+        const [tag, closing, name, selfClosing] = match;
+        addText(text.slice(index, match.index));
+        index = match.index! + tag.length;
+
+        if (selfClosing) {
+            addElement(name);
+        } else if (!closing) {
+            stack.push({ name, tag, children: [] });
+        } else if (stack.length > 0 && stack[stack.length - 1].name === name) {
+            addElement(name, stack.pop()!.children);
+        } else {
+            addText(tag);
+        }
+    }
+    addText(text.slice(index));
+
+    while (stack.length > 0) {
+        const { tag, children } = stack.pop()!;
+        current().push(tag, ...children);
+    }
+    return root;
+}
+
+interface TransProps {
+    // The English text with its tags, which is also the key
+    i18nKey: string;
+    // The element for each tag name, e.g. { link: <Link url="/terms" />, b: <b /> }
+    components?: RichComponents;
+    // Same as tr(): placeholder values, context and count
+    params?: TrParams;
+}
+
+// tr() for sentences with links or formatting:
+// <Trans i18nKey="Read our <link>terms</link>" components={{ link: <Link url="/terms" /> }} />
+export function Trans({ i18nKey, components = {}, params }: TransProps) {
+    const tr = useTr();
+
+    let safeParams = params;
+    if (params) {
+        safeParams = { ...params };
+        for (const [name, value] of Object.entries(params)) {
+            if (typeof value === "string" && name !== "context") {
+                safeParams[name] = value.split("<").join(ESCAPED_LT);
+            }
+        }
+    }
+
+    return <>{renderRich(tr(i18nKey, safeParams), components)}</>;
+}
+
 export function useLocale() {
     const context = useContext(I18nContext);
     if (!context) {
@@ -72,3 +598,22 @@ export function useLocale() {
     }
     return context.locale;
 }
+
+// Text direction of the current locale, e.g. <html lang={info.tag} dir={dir}>
+export function useDir(): TextDirection {
+    const context = useContext(I18nContext);
+    return (context?.info ?? defaultInfo).dir;
+}
+
+// Code, BCP-47 tag, direction, English and native name of the current locale
+export function useLocaleInfo(): LocaleInfo {
+    const context = useContext(I18nContext);
+    return context?.info ?? defaultInfo;
+}
+
+// Number, date, list, relative time and language name formatting for the
+// current locale: const { number, date } = useFormatters(); number(1234.5)
+export function useFormatters(): Formatters {
+    const context = useContext(I18nContext);
+    return context?.formatters ?? defaultFormatters;
+}
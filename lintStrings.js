@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * lintStrings script - Reports user-facing strings that aren't translated
+ *
+ * Usage:
+ *   node lintStrings.js [--format text|json|sarif|junit]
+ *   node lintStrings.js --fix
+ *
+ * Finds the strings wrapExistingText.js would wrap (config.wrapRules) that
+ * aren't wrapped yet, so new hardcoded text doesn't slip in. The rules,
+ * their severities (config.lintRules) and the disable comments are in
+ * hardcodedStrings.js. Strings always skipped in wrapExistingText.js
+ * --interactive aren't reported either.
+ *
+ * Exits with code 1 if a rule set to "error" reports anything (for CI).
+ * --fix wraps the reported strings the same way wrapExistingText.js does,
+ * then reports what is left.
+ */
+
+import fs from "fs";
+import path from "path";
+import { formatReport, REPORT_FORMATS } from "./checkReport.js";
+import {
+    createLintDisabledCheck,
+    findHardcodedStrings,
+    getLintRule,
+    getLintSeverities,
+    LINT_RULES,
+} from "./hardcodedStrings.js";
+import { findSourceFiles, getArg, hasFlag, loadConfig, loadTypeScript } from "./i18nConfig.js";
+import { getWrapRules } from "./wrapPresets.js";
+import { createReviewer, loadWrapDecisions } from "./wrapReview.js";
+import { wrapFile } from "./wrapTransforms.js";
+
+const config = await loadConfig();
+const ts = loadTypeScript(config);
+
+const fixMode = hasFlag("--fix");
+const reportFormat = getArg("--format") || "text";
+
+// Keep stdout for the report, progress goes to stderr
+console.log = console.error;
+
+if (!REPORT_FORMATS.includes(reportFormat)) {
+    console.error(`❌ Unknown report format "${reportFormat}" (use ${REPORT_FORMATS.join(", ")})`);
+    process.exit(1);
+}
+
+let rules;
+let severities;
+try {
+    rules = getWrapRules(config);
+    severities = getLintSeverities(config);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+const { skip } = loadWrapDecisions(config);
+// Saved keys are used for --fix, like wrapExistingText.js does
+const reviewer = createReviewer(config);
+
+const files = findSourceFiles(config, config.wrapperExclude).filter(
+    (file) => file.endsWith(".tsx") || file.endsWith(".jsx")
+);
+const findings = [];
+let fixedFiles = 0;
+
+for (const file of files) {
+    const fileName = path.relative(config.projectRoot, file).split(path.sep).join("/");
+    let content = fs.readFileSync(file, "utf8");
+    const isDisabled = createLintDisabledCheck();
+    let fileFindings = findHardcodedStrings(ts, file, fileName, content, rules, severities, skip, isDisabled);
+
+    if (fixMode && fileFindings.length > 0) {
+        // Only what the linter reports, so rules that are off stay unfixed
+        const result = await wrapFile(ts, config, file, content, rules, (candidate, source) =>
+            severities[getLintRule(candidate)] === "off" || isDisabled(source, candidate)
+                ? null
+                : reviewer.review(fileName, candidate, source)
+        );
+        if (result.content !== content) {
+            content = result.content;
+            fs.writeFileSync(file, content);
+            console.log(`🔧 Fixed ${result.wrapped.length} strings in ${fileName}`);
+            fixedFiles++;
+        }
+        fileFindings = findHardcodedStrings(ts, file, fileName, content, rules, severities, skip, isDisabled);
+    }
+
+    findings.push(...fileFindings);
+}
+
+if (fixMode) console.log(`\n✅ Fixed ${fixedFiles} files.`);
+
+process.stdout.write(formatReport(findings, reportFormat, LINT_RULES));
+process.exit(findings.some((finding) => finding.severity === "error") ? 1 : 0);
@@ -0,0 +1,818 @@
+/**
+ * localeFiles - Reads and writes locale files in the configured format
+ *
+ * config.files.format:
+ *   "json"         { key: value }, sorted (default)
+ *   "nested-json"  keys split on config.files.keySeparator (default "."), i18next style
+ *   "yaml"         the same mapping as json, in YAML
+ *   "po"           gettext; the context is msgctxt, plural forms are msgstr[n]
+ *                  in CLDR category order (listed in the X-Plural-Categories header)
+ *   "xliff12"      XLIFF 1.2 / "xliff20" XLIFF 2.0; the English value is the
+ *                  source, plural forms are a group of units
+ *   "arb"          Flutter ARB; plural forms become an ICU plural message
+ *
+ * Every format reads back exactly what it writes (contexts, plural forms,
+ * empty values, whitespace), so files can be converted without loss
+ * (see convertTranslations.js). The _meta.json/_memory.json side files and
+ * the bundles stay JSON.
+ */
+
+import fs from "fs";
+import path from "path";
+import { makeKey, parseKey } from "./extractTrKeys.js";
+import { hashSource } from "./sourceHashes.js";
+import { CATEGORY_ORDER, getPluralCategories, isPluralValue } from "./translationValues.js";
+
+export const FORMATS = ["json", "nested-json", "yaml", "po", "xliff12", "xliff20", "arb"];
+
+const EXTENSIONS = {
+    json: ".json",
+    "nested-json": ".json",
+    yaml: ".yaml",
+    po: ".po",
+    xliff12: ".xlf",
+    xliff20: ".xlf",
+    arb: ".arb",
+};
+
+function sortedEntries(translations) {
+    return Object.keys(translations)
+        .sort()
+        .map((key) => [key, translations[key]]);
+}
+
+function sortForms(forms) {
+    const sorted = {};
+    for (const category of [
+        ...CATEGORY_ORDER.filter((category) => category in forms),
+        ...Object.keys(forms).filter((category) => !CATEGORY_ORDER.includes(category)),
+    ]) {
+        sorted[category] = forms[category];
+    }
+    return sorted;
+}
+
+// Objects whose keys are all plural categories, as opposed to nested-json namespaces
+function isPluralForms(value) {
+    return (
+        isPluralValue(value) &&
+        Object.keys(value).length > 0 &&
+        Object.entries(value).every(
+            ([category, form]) => CATEGORY_ORDER.includes(category) && typeof form === "string"
+        )
+    );
+}
+
+function unitId(key) {
+    return `k${hashSource(key)}`;
+}
+
+/* ------------------------------------------------------------------ JSON */
+
+function serializeJson(translations) {
+    return JSON.stringify(Object.fromEntries(sortedEntries(translations)), null, 2) + "\n";
+}
+
+function parseJson(content) {
+    return JSON.parse(content);
+}
+
+function serializeNestedJson(translations, { keySeparator }) {
+    const tree = {};
+
+    for (const [key, value] of sortedEntries(translations)) {
+        const segments = key.split(keySeparator);
+        let node = tree;
+        let placed = false;
+
+        // A key ending in a plural category would read back as plural forms,
+        // and a path through an existing value can't be nested: keep those flat
+        if (segments.length > 1 && !CATEGORY_ORDER.includes(segments[segments.length - 1])) {
+            placed = true;
+            for (const segment of segments.slice(0, -1)) {
+                if (node[segment] === undefined) node[segment] = {};
+                if (typeof node[segment] === "string" || isPluralForms(node[segment])) {
+                    placed = false;
+                    break;
+                }
+                node = node[segment];
+            }
+            const last = segments[segments.length - 1];
+            if (placed && node[last] === undefined) {
+                node[last] = value;
+            } else {
+                placed = false;
+            }
+        }
+
+        if (!placed) {
+            tree[key] = value;
+        }
+    }
+
+    return JSON.stringify(tree, null, 2) + "\n";
+}
+
+function parseNestedJson(content, { keySeparator }) {
+    const translations = {};
+
+    const flatten = (node, prefix) => {
+        for (const [name, value] of Object.entries(node)) {
+            const key = prefix === null ? name : `${prefix}${keySeparator}${name}`;
+            if (typeof value === "string" || isPluralForms(value)) {
+                translations[key] = value;
+            } else if (isPluralValue(value)) {
+                flatten(value, key);
+            }
+        }
+    };
+
+    flatten(JSON.parse(content), null);
+    return translations;
+}
+
+/* ------------------------------------------------------------------ YAML */
+
+function serializeYaml(translations) {
+    const lines = [];
+
+    for (const [key, value] of sortedEntries(translations)) {
+        if (isPluralValue(value)) {
+            lines.push(`${JSON.stringify(key)}:`);
+            for (const [category, form] of Object.entries(sortForms(value))) {
+                lines.push(`  ${category}: ${JSON.stringify(form)}`);
+            }
+        } else {
+            lines.push(`${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+        }
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+function parseYamlScalar(text, lineNumber) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('"')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`YAML line ${lineNumber}: unsupported double-quoted string ${trimmed}`);
+        }
+    }
+    if (trimmed.startsWith("'")) {
+        if (!/^'(?:[^']|'')*'$/.test(trimmed)) {
+            throw new Error(`YAML line ${lineNumber}: unterminated single-quoted string`);
+        }
+        return trimmed.slice(1, -1).replace(/''/g, "'");
+    }
+
+    // Plain scalar, without a trailing comment
+    const plain = trimmed.replace(/\s+#.*$/, "");
+    return plain === "~" || plain === "null" ? "" : plain;
+}
+
+function parseYamlKey(text, lineNumber) {
+    const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^'"#][^:#]*?)\s*:(?:\s+|$)/);
+    if (!match) {
+        throw new Error(`YAML line ${lineNumber}: expected "key: value"`);
+    }
+    return { key: parseYamlScalar(match[1], lineNumber), rest: text.slice(match[0].length) };
+}
+
+/**
+ * A YAML subset: nested mappings, plain/quoted scalars and |, > block
+ * scalars. Enough for locale files, including hand-written ones.
+ */
+function parseYaml(content) {
+    const lines = content.replace(/\r\n/g, "\n").split("\n");
+    const root = {};
+    const stack = [{ indent: -1, node: root }];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*(#.*)?$/.test(line) || line === "---") continue;
+
+        const indent = line.match(/^ */)[0].length;
+        while (indent <= stack[stack.length - 1].indent) stack.pop();
+        const parent = stack[stack.length - 1].node;
+
+        const { key, rest } = parseYamlKey(line.slice(indent), i + 1);
+        const value = rest.replace(/^\s+#.*$/, "");
+
+        if (value.trim() === "") {
+            // Nested mapping on the following lines
+            parent[key] = {};
+            stack.push({ indent, node: parent[key] });
+        } else if (/^[|>][+-]?\s*(#.*)?$/.test(value.trim())) {
+            const [indicator, chomping] = value.trim();
+            const block = [];
+            let blockIndent = null;
+            while (i + 1 < lines.length) {
+                const next = lines[i + 1];
+                const nextIndent = next.match(/^ */)[0].length;
+                if (next.trim() !== "" && nextIndent <= indent) break;
+                if (blockIndent === null && next.trim() !== "") blockIndent = nextIndent;
+                block.push(next.slice(blockIndent ?? nextIndent));
+                i++;
+            }
+            while (block.length > 0 && block[block.length - 1] === "") block.pop();
+
+            let text = indicator === "|" ? block.join("\n") : block.join(" ").replace(/ ?\n ?/g, "\n");
+            if (chomping !== "-") text += "\n";
+            parent[key] = text;
+        } else {
+            parent[key] = parseYamlScalar(value, i + 1);
+        }
+    }
+
+    return root;
+}
+
+/* ------------------------------------------------------------------ PO */
+
+// U+2028 and U+2029 are escaped too, editors show them as line breaks
+function escapePo(text) {
+    return text
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\t/g, "\\t")
+        .replace(/\r/g, "\\r")
+        .replace(/\n/g, "\\n")
+        .replace(/\u2028/g, "\\u2028")
+        .replace(/\u2029/g, "\\u2029");
+}
+
+function unescapePo(text) {
+    return text.replace(/\\(["\\tnr]|u202[89])/g, (_, char) =>
+        ({ t: "\t", n: "\n", r: "\r", u2028: "\u2028", u2029: "\u2029" })[char] || char
+    );
+}
+
+// Multi-line strings are written one line per "\n", like msgmerge does
+function formatPoString(keyword, text) {
+    const parts = text.split(/(?<=\n)/);
+    if (parts.length <= 1) {
+        return `${keyword} "${escapePo(text)}"`;
+    }
+    return [`${keyword} ""`, ...parts.map((part) => `"${escapePo(part)}"`)].join("\n");
+}
+
+function serializePo(translations, { locale, sources, meta }) {
+    const categories = getPluralCategories(locale);
+    const blocks = [
+        [
+            `# ${locale} translations`,
+            `msgid ""`,
+            `msgstr ""`,
+            `"Language: ${locale}\\n"`,
+            `"MIME-Version: 1.0\\n"`,
+            `"Content-Type: text/plain; charset=UTF-8\\n"`,
+            `"Content-Transfer-Encoding: 8bit\\n"`,
+            `"X-Plural-Categories: ${categories.join(", ")}\\n"`,
+        ].join("\n"),
+    ];
+
+    for (const [key, value] of sortedEntries(translations)) {
+        const { text, context } = parseKey(key);
+        const lines = [];
+        const source = sources?.[key];
+
+        // The English value, when it differs from the key
+        if (isPluralValue(source)) {
+            for (const [category, form] of Object.entries(sortForms(source))) {
+                if (form !== text) lines.push(`#. Source [${category}]: ${JSON.stringify(form)}`);
+            }
+        } else if (source !== undefined && source !== text) {
+            lines.push(`#. Source: ${JSON.stringify(source)}`);
+        }
+        for (const usage of meta?.[key]?.usages || []) {
+            lines.push(`#: ${usage.file}:${usage.line}`);
+        }
+        if (context) lines.push(formatPoString("msgctxt", context));
+        lines.push(formatPoString("msgid", text));
+
+        if (isPluralValue(value)) {
+            const forms = sortForms(value);
+            const formCategories = Object.keys(forms);
+            if (formCategories.join() !== categories.join()) {
+                lines.push(`#, plural-categories: ${formCategories.join(" ")}`);
+            }
+            lines.push(formatPoString("msgid_plural", text));
+            formCategories.forEach((category, index) => {
+                lines.push(formatPoString(`msgstr[${index}]`, forms[category]));
+            });
+        } else {
+            lines.push(formatPoString("msgstr", value));
+        }
+
+        blocks.push(lines.join("\n"));
+    }
+
+    return blocks.join("\n\n") + "\n";
+}
+
+function parsePo(content, { locale }) {
+    const translations = {};
+    let headerCategories = getPluralCategories(locale);
+
+    for (const block of content.replace(/\r\n/g, "\n").split(/\n\s*\n/)) {
+        const entry = {};
+        let current = null;
+        let formCategories = null;
+
+        for (const line of block.split("\n")) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith("#~")) {
+                // Obsolete entry
+                current = null;
+                entry.obsolete = true;
+                continue;
+            }
+            if (trimmed.startsWith("#, plural-categories:")) {
+                formCategories = trimmed.slice("#, plural-categories:".length).trim().split(/\s+/);
+                continue;
+            }
+            if (trimmed.startsWith("#") || trimmed === "") continue;
+
+            const match = trimmed.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/s);
+            if (match) {
+                current = match[2] !== undefined ? `msgstr:${match[2]}` : match[1];
+                entry[current] = unescapePo(match[3]);
+            } else if (current && /^".*"$/s.test(trimmed)) {
+                entry[current] += unescapePo(trimmed.slice(1, -1));
+            } else {
+                throw new Error(`Unexpected line in PO file: ${trimmed}`);
+            }
+        }
+
+        if (entry.obsolete || entry.msgid === undefined) continue;
+
+        // The header: read the plural categories it lists
+        if (entry.msgid === "" && entry.msgctxt === undefined) {
+            const header = entry.msgstr || "";
+            const categoriesLine = header.match(/^X-Plural-Categories:\s*(.*)$/m);
+            if (categoriesLine) {
+                headerCategories = categoriesLine[1].split(",").map((category) => category.trim());
+            }
+            continue;
+        }
+
+        const key = makeKey(entry.msgid, entry.msgctxt);
+        if (entry.msgid_plural !== undefined) {
+            const categories = formCategories || headerCategories;
+            translations[key] = {};
+            categories.forEach((category, index) => {
+                translations[key][category] = entry[`msgstr:${index}`] ?? "";
+            });
+        } else {
+            translations[key] = entry.msgstr ?? "";
+        }
+    }
+
+    return translations;
+}
+
+/* ------------------------------------------------------------------ XML */
+
+function escapeXmlText(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\r/g, "&#13;");
+}
+
+function escapeXmlAttribute(text) {
+    return escapeXmlText(text)
+        .replace(/"/g, "&quot;")
+        .replace(/\n/g, "&#10;")
+        .replace(/\t/g, "&#9;");
+}
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+        if (entity[0] === "#") {
+            return String.fromCodePoint(
+                entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : Number(entity.slice(1))
+            );
+        }
+        return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[entity.toLowerCase()];
+    });
+}
+
+/**
+ * Minimal XML parser: elements, attributes, text and CDATA.
+ * Returns { name, attributes, children } nodes; text children are strings.
+ */
+function parseXml(content) {
+    const root = { name: "#document", attributes: {}, children: [] };
+    const stack = [root];
+    const tokens =
+        /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = tokens.exec(content))) {
+        const [, cdata, closing, name, attributeText, selfClosing, text] = match;
+        const parent = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            parent.children.push(cdata);
+        } else if (text !== undefined) {
+            parent.children.push(decodeXmlEntities(text));
+        } else if (closing !== undefined) {
+            if (parent.name !== closing) {
+                throw new Error(`Malformed XML: </${closing}> closes <${parent.name}>`);
+            }
+            stack.pop();
+        } else if (name !== undefined) {
+            const attributes = {};
+            for (const [, attribute, , double, single] of attributeText.matchAll(
+                /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+            )) {
+                attributes[attribute] = decodeXmlEntities(double ?? single);
+            }
+            const node = { name, attributes, children: [] };
+            parent.children.push(node);
+            if (!selfClosing) stack.push(node);
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    return root;
+}
+
+function localName(node) {
+    return node.name.replace(/^.*:/, "");
+}
+
+function childElements(node, name) {
+    return node.children.filter(
+        (child) => typeof child !== "string" && (!name || localName(child) === name)
+    );
+}
+
+// Text content; inline markup a CAT tool added (<g>, <ph>, <pc>...) is kept as XML
+function innerXml(node) {
+    return node.children
+        .map((child) => {
+            if (typeof child === "string") return child;
+            const attributes = Object.entries(child.attributes)
+                .map(([name, value]) => ` ${name}="${escapeXmlAttribute(value)}"`)
+                .join("");
+            return child.children.length > 0
+                ? `<${child.name}${attributes}>${innerXml(child)}</${child.name}>`
+                : `<${child.name}${attributes}/>`;
+        })
+        .join("");
+}
+
+function findDescendants(node, name) {
+    const found = [];
+    for (const child of childElements(node)) {
+        if (localName(child) === name) found.push(child);
+        found.push(...findDescendants(child, name));
+    }
+    return found;
+}
+
+function getSourceText(sources, key, category) {
+    const source = sources?.[key];
+    if (source === undefined) return parseKey(key).text;
+    if (!isPluralValue(source)) return source;
+    return source[category] ?? source.other ?? parseKey(key).text;
+}
+
+function getNotes(key, meta) {
+    const notes = [];
+    const { context } = parseKey(key);
+    if (context) notes.push(["context", context]);
+    for (const usage of meta?.[key]?.usages || []) {
+        notes.push(["usage", `${usage.file}:${usage.line}`]);
+    }
+    return notes;
+}
+
+function serializeXliff12(translations, { locale, sourceLocale, sources, meta }) {
+    const lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">`,
+        `  <file original="translations" datatype="plaintext" source-language="${sourceLocale}" target-language="${locale}">`,
+        `    <body>`,
+    ];
+
+    const unit = (indent, id, resname, source, target, notes) => {
+        lines.push(`${indent}<trans-unit id="${id}" resname="${escapeXmlAttribute(resname)}" xml:space="preserve">`);
+        lines.push(`${indent}  <source>${escapeXmlText(source)}</source>`);
+        if (target !== "") lines.push(`${indent}  <target>${escapeXmlText(target)}</target>`);
+        for (const [from, note] of notes) {
+            lines.push(`${indent}  <note from="${from}">${escapeXmlText(note)}</note>`);
+        }
+        lines.push(`${indent}</trans-unit>`);
+    };
+
+    for (const [key, value] of sortedEntries(translations)) {
+        const { text } = parseKey(key);
+        const id = unitId(key);
+        const notes = getNotes(key, meta);
+
+        if (isPluralValue(value)) {
+            lines.push(
+                `      <group id="${id}" resname="${escapeXmlAttribute(text)}" restype="x-gettext-plurals">`
+            );
+            for (const [from, note] of notes) {
+                lines.push(`        <note from="${from}">${escapeXmlText(note)}</note>`);
+            }
+            for (const [category, form] of Object.entries(sortForms(value))) {
+                unit("        ", `${id}[${category}]`, category, getSourceText(sources, key, category), form, []);
+            }
+            lines.push(`      </group>`);
+        } else {
+            unit("      ", id, text, getSourceText(sources, key), value, notes);
+        }
+    }
+
+    lines.push(`    </body>`, `  </file>`, `</xliff>`, "");
+    return lines.join("\n");
+}
+
+function readXliff12Unit(node) {
+    const target = childElements(node, "target")[0];
+    const context = childElements(node, "note").find((note) => note.attributes.from === "context");
+    return {
+        name: node.attributes.resname ?? node.attributes.id,
+        context: context ? innerXml(context) : null,
+        value: target ? innerXml(target) : "",
+    };
+}
+
+function parseXliff12(content) {
+    const translations = {};
+
+    for (const body of findDescendants(parseXml(content), "body")) {
+        const visit = (node) => {
+            for (const child of childElements(node)) {
+                if (localName(child) === "trans-unit") {
+                    const { name, context, value } = readXliff12Unit(child);
+                    translations[makeKey(name, context)] = value;
+                } else if (localName(child) === "group" && child.attributes.restype === "x-gettext-plurals") {
+                    const context = childElements(child, "note").find(
+                        (note) => note.attributes.from === "context"
+                    );
+                    const forms = {};
+                    for (const unit of childElements(child, "trans-unit")) {
+                        const { name, value } = readXliff12Unit(unit);
+                        forms[name] = value;
+                    }
+                    translations[makeKey(child.attributes.resname, context ? innerXml(context) : null)] = forms;
+                } else if (localName(child) === "group") {
+                    visit(child);
+                }
+            }
+        };
+        visit(body);
+    }
+
+    return translations;
+}
+
+function serializeXliff20(translations, { locale, sourceLocale, sources, meta }) {
+    const lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${sourceLocale}" trgLang="${locale}">`,
+        `  <file id="translations">`,
+    ];
+
+    const notesXml = (indent, notes) => {
+        if (notes.length === 0) return;
+        lines.push(`${indent}<notes>`);
+        for (const [category, note] of notes) {
+            lines.push(`${indent}  <note category="${category}">${escapeXmlText(note)}</note>`);
+        }
+        lines.push(`${indent}</notes>`);
+    };
+
+    const unit = (indent, id, name, source, target, notes) => {
+        lines.push(`${indent}<unit id="${id}" name="${escapeXmlAttribute(name)}" xml:space="preserve">`);
+        notesXml(`${indent}  `, notes);
+        lines.push(`${indent}  <segment>`);
+        lines.push(`${indent}    <source>${escapeXmlText(source)}</source>`);
+        if (target !== "") lines.push(`${indent}    <target>${escapeXmlText(target)}</target>`);
+        lines.push(`${indent}  </segment>`);
+        lines.push(`${indent}</unit>`);
+    };
+
+    for (const [key, value] of sortedEntries(translations)) {
+        const { text } = parseKey(key);
+        const id = unitId(key);
+        const notes = getNotes(key, meta);
+
+        if (isPluralValue(value)) {
+            lines.push(`    <group id="${id}" name="${escapeXmlAttribute(text)}" type="x:plural">`);
+            notesXml("      ", notes);
+            for (const [category, form] of Object.entries(sortForms(value))) {
+                unit("      ", `${id}-${category}`, category, getSourceText(sources, key, category), form, []);
+            }
+            lines.push(`    </group>`);
+        } else {
+            unit("    ", id, text, getSourceText(sources, key), value, notes);
+        }
+    }
+
+    lines.push(`  </file>`, `</xliff>`, "");
+    return lines.join("\n");
+}
+
+function readXliff20Context(node) {
+    const notes = childElements(node, "notes").flatMap((notes) => childElements(notes, "note"));
+    const context = notes.find((note) => note.attributes.category === "context");
+    return context ? innerXml(context) : null;
+}
+
+function readXliff20Target(unit) {
+    // A unit can be split into several segments (and ignorables) by a CAT tool
+    return childElements(unit)
+        .filter((child) => ["segment", "ignorable"].includes(localName(child)))
+        .map((segment) => {
+            const target = childElements(segment, "target")[0];
+            return target ? innerXml(target) : "";
+        })
+        .join("");
+}
+
+function parseXliff20(content) {
+    const translations = {};
+
+    const visit = (node) => {
+        for (const child of childElements(node)) {
+            if (localName(child) === "unit") {
+                const name = child.attributes.name ?? child.attributes.id;
+                translations[makeKey(name, readXliff20Context(child))] = readXliff20Target(child);
+            } else if (localName(child) === "group" && child.attributes.type === "x:plural") {
+                const forms = {};
+                for (const unit of childElements(child, "unit")) {
+                    forms[unit.attributes.name] = readXliff20Target(unit);
+                }
+                translations[makeKey(child.attributes.name, readXliff20Context(child))] = forms;
+            } else if (["file", "group"].includes(localName(child))) {
+                visit(child);
+            }
+        }
+    };
+
+    for (const xliff of findDescendants(parseXml(content), "xliff")) {
+        visit(xliff);
+    }
+    return translations;
+}
+
+/* ------------------------------------------------------------------ ARB */
+
+// Ids starting with "@" are metadata in ARB, so keys starting with "@" (and
+// with the escape itself) are written with a backslash in front: "\\@mention"
+const encodeArbId = (key) => (/^[@\\]/.test(key) ? `\\${key}` : key);
+const decodeArbId = (id) => (id.startsWith("\\") ? id.slice(1) : id);
+
+function serializeArb(translations, { locale, meta }) {
+    const arb = { "@@locale": locale };
+
+    for (const [key, value] of sortedEntries(translations)) {
+        const { context } = parseKey(key);
+        const id = encodeArbId(key);
+        const attributes = {};
+        if (context) attributes.context = context;
+
+        if (isPluralValue(value)) {
+            const branches = Object.entries(sortForms(value))
+                .map(([category, form]) => `${category} {${form}}`)
+                .join(" ");
+            arb[id] = `{count, plural, ${branches}}`;
+            attributes.placeholders = { count: { type: "num" } };
+            attributes["x-plural"] = true;
+        } else {
+            arb[id] = value;
+        }
+
+        const usages = meta?.[key]?.usages;
+        if (usages) attributes.description = usages.map((usage) => `${usage.file}:${usage.line}`).join(", ");
+        if (Object.keys(attributes).length > 0) arb[`@${id}`] = attributes;
+    }
+
+    return JSON.stringify(arb, null, 2) + "\n";
+}
+
+// "{count, plural, one {...} other {...}}" -> { one: "...", other: "..." }
+function parseArbPlural(key, message) {
+    const match = message.match(/^\{\s*count\s*,\s*plural\s*,([\s\S]*)\}$/);
+    if (!match) {
+        throw new Error(`ARB entry "${key}" is marked x-plural but is not a {count, plural, ...} message`);
+    }
+
+    const forms = {};
+    const body = match[1];
+    let i = 0;
+    while (i < body.length) {
+        const selector = body.slice(i).match(/^\s*([a-z]+|=\d+)\s*\{/);
+        if (!selector) {
+            if (body.slice(i).trim() === "") break;
+            throw new Error(`ARB entry "${key}": can't read plural branch at "${body.slice(i, i + 20)}"`);
+        }
+
+        let depth = 1;
+        const start = i + selector[0].length;
+        let end = start;
+        while (end < body.length && depth > 0) {
+            if (body[end] === "{") depth++;
+            if (body[end] === "}") depth--;
+            end++;
+        }
+        if (depth !== 0) {
+            throw new Error(`ARB entry "${key}": unbalanced braces in the plural message`);
+        }
+
+        forms[selector[1]] = body.slice(start, end - 1);
+        i = end;
+    }
+    return forms;
+}
+
+function parseArb(content) {
+    const arb = JSON.parse(content);
+    const translations = {};
+
+    for (const [id, value] of Object.entries(arb)) {
+        if (id.startsWith("@")) continue;
+        const key = decodeArbId(id);
+        translations[key] = arb[`@${id}`]?.["x-plural"] ? parseArbPlural(key, value) : value;
+    }
+    return translations;
+}
+
+/* ------------------------------------------------------------------ API */
+
+const ADAPTERS = {
+    json: { serialize: serializeJson, parse: parseJson },
+    "nested-json": { serialize: serializeNestedJson, parse: parseNestedJson },
+    yaml: { serialize: serializeYaml, parse: parseYaml },
+    po: { serialize: serializePo, parse: parsePo },
+    xliff12: { serialize: serializeXliff12, parse: parseXliff12 },
+    xliff20: { serialize: serializeXliff20, parse: parseXliff20 },
+    arb: { serialize: serializeArb, parse: parseArb },
+};
+
+function getAdapter(format) {
+    const adapter = ADAPTERS[format];
+    if (!adapter) {
+        throw new Error(`Unknown locale file format "${format}" (use ${FORMATS.join(", ")})`);
+    }
+    return adapter;
+}
+
+function getFormatOptions(config, options) {
+    return {
+        keySeparator: config.files.keySeparator,
+        sourceLocale: config.canonicalLocale,
+        ...options,
+    };
+}
+
+/**
+ * Path of a locale file: <translationsDir>/<locale>.<extension>
+ */
+export function getLocaleFilePath(config, locale, format = config.files.format) {
+    getAdapter(format);
+    return path.join(config.translationsDir, `${locale}${EXTENSIONS[format]}`);
+}
+
+/**
+ * Serialize translations. Options: { locale, sources, meta } where sources
+ * are the canonical values (the XLIFF source, the PO "Source:" comment) and
+ * meta is the _meta.json manifest (usages become notes/references).
+ */
+export function serializeTranslations(config, translations, options, format = config.files.format) {
+    return getAdapter(format).serialize(translations, getFormatOptions(config, options));
+}
+
+/**
+ * Parse the content of a locale file into { [key]: value }
+ */
+export function parseTranslations(config, content, options, format = config.files.format) {
+    return getAdapter(format).parse(content, getFormatOptions(config, options));
+}
+
+/**
+ * Read a locale file. Throws when it doesn't exist or can't be parsed.
+ */
+export function loadLocaleFile(config, locale, format = config.files.format) {
+    const content = fs.readFileSync(getLocaleFilePath(config, locale, format), "utf-8");
+    return parseTranslations(config, content, { locale }, format);
+}
+
+/**
+ * Write a locale file (keys sorted). `options` as for serializeTranslations.
+ */
+export function saveLocaleFile(config, locale, translations, options = {}, format = config.files.format) {
+    fs.mkdirSync(config.translationsDir, { recursive: true });
+    fs.writeFileSync(
+        getLocaleFilePath(config, locale, format),
+        serializeTranslations(config, translations, { locale, ...options }, format)
+    );
+}
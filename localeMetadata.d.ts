@@ -0,0 +1,17 @@
+export type TextDirection = "ltr" | "rtl";
+
+export interface LocaleInfo {
+    code: string;
+    tag: string;
+    dir: TextDirection;
+    name: string;
+    nativeName: string;
+}
+
+export const LOCALES: Record<string, { name: string; dir: TextDirection }>;
+
+export function normalizeLocale(locale: string): string;
+
+export function getTextDirection(locale: string): TextDirection;
+
+export function getLocaleInfo(locale: string): LocaleInfo;
@@ -0,0 +1,80 @@
+/**
+ * localeMetadata - What the scripts and I18nProvider know about each locale
+ *
+ * Locale codes are the locale file names ("pt-br" for pt-br.json). The BCP-47
+ * tag is the canonical form Intl and the browser expect ("pt-BR"), the
+ * direction comes from the table or, for other locales, from the language.
+ *
+ * Plain JS without Node APIs, so i18nContext.tsx can use it in the browser.
+ */
+
+// Supported locales (add new ones here or in i18n.config)
+export const LOCALES = {
+    en: { name: "English", dir: "ltr" },
+    de: { name: "German", dir: "ltr" },
+    fr: { name: "French", dir: "ltr" },
+    es: { name: "Spanish", dir: "ltr" },
+    sv: { name: "Swedish", dir: "ltr" },
+    "pt-br": { name: "Portuguese (Brazil)", dir: "ltr" },
+    it: { name: "Italian", dir: "ltr" },
+    nl: { name: "Dutch", dir: "ltr" },
+    ja: { name: "Japanese", dir: "ltr" },
+    ko: { name: "Korean", dir: "ltr" },
+    "zh-cn": { name: "Chinese (Simplified)", dir: "ltr" },
+    "zh-tw": { name: "Chinese (Traditional)", dir: "ltr" },
+    tr: { name: "Turkish", dir: "ltr" },
+    th: { name: "Thai", dir: "ltr" },
+    pl: { name: "Polish", dir: "ltr" },
+    ar: { name: "Arabic", dir: "rtl" },
+    da: { name: "Danish", dir: "ltr" },
+    fi: { name: "Finnish", dir: "ltr" },
+    id: { name: "Indonesian", dir: "ltr" },
+    ms: { name: "Malay", dir: "ltr" },
+};
+
+// Languages written right to left, for locales that aren't in the table
+const RTL_LANGUAGES = ["ar", "ckb", "dv", "fa", "he", "ps", "sd", "ug", "ur", "yi"];
+
+/**
+ * Canonical BCP-47 tag of a locale code: "pt-br" -> "pt-BR", "zh_hant_tw" -> "zh-Hant-TW"
+ */
+export function normalizeLocale(locale) {
+    try {
+        return Intl.getCanonicalLocales(locale.replace(/_/g, "-"))[0];
+    } catch (error) {
+        return locale;
+    }
+}
+
+/**
+ * Text direction of a locale, "ltr" or "rtl"
+ */
+export function getTextDirection(locale) {
+    const known = LOCALES[locale.toLowerCase()];
+    if (known) return known.dir;
+    const language = normalizeLocale(locale).split("-")[0].toLowerCase();
+    return RTL_LANGUAGES.includes(language) ? "rtl" : "ltr";
+}
+
+function getDisplayName(code, inLocale) {
+    try {
+        return new Intl.DisplayNames([inLocale], { type: "language" }).of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * Everything known about a locale:
+ * { code, tag, dir, name (English), nativeName (in the locale itself) }
+ */
+export function getLocaleInfo(locale) {
+    const tag = normalizeLocale(locale);
+    return {
+        code: locale,
+        tag,
+        dir: getTextDirection(locale),
+        name: LOCALES[locale.toLowerCase()]?.name || getDisplayName(tag, "en"),
+        nativeName: getDisplayName(tag, tag),
+    };
+}
@@ -4,56 +4,128 @@
  *
  * Usage:
  *   npm run merge-translations
+ *   npm run merge-translations -- --strict
  *
  * This script:
- * 1. Reads app/translations/toTranslate.json
- * 2. Merges the translations into the respective locale files
- * 3. Cleans up toTranslate.json
+ * 1. Reads toTranslate.json from the translations dir (see i18nConfig.js)
+ * 2. Checks that every entry (and every plural form the locale needs) is filled in,
+ *    and that it parses as ICU MessageFormat when config.messageFormat is "icu"
+ * 3. Reports, per locale, translations whose {placeholders}, tags, leading/trailing
+ *    whitespace or final punctuation don't match the English source, or that
+ *    break the glossary (see glossary.js)
+ *    (--strict refuses to merge when there are any)
+ * 4. Merges the translations into the respective locale files and records the
+ *    English source each one was made from (see sourceHashes.js)
+ * 5. Regenerates the per-route bundles when config.bundles.enabled (see bundles.js)
+ * 6. Cleans up toTranslate.json
  */
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
+import { assignBundles, writeBundles } from "./bundles.js";
+import { parseKey } from "./extractTrKeys.js";
+import { checkGlossary, loadGlossary } from "./glossary.js";
+import { hasFlag, loadConfig } from "./i18nConfig.js";
+import { getLocaleFilePath, loadLocaleFile, saveLocaleFile } from "./localeFiles.js";
+import { parseMessage } from "./messageFormat.js";
+import { hashSource, loadSourceHashes, saveSourceHashes } from "./sourceHashes.js";
+import { checkTranslation } from "./translationChecks.js";
+import {
+    getMissingPluralCategories,
+    isMissingValue,
+    isPluralValue,
+} from "./translationValues.js";
 
-// Get directory paths
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const projectRoot = path.resolve(__dirname, "..");
-const translationsDir = path.join(projectRoot, "app", "translations");
+const config = await loadConfig();
+const { translationsDir } = config;
 const toTranslatePath = path.join(translationsDir, "toTranslate.json");
 
+// --strict refuses to merge when any translation fails the integrity checks
+const strict = hasFlag("--strict");
+
 /**
  * Load translation file
  */
 function loadTranslationFile(locale) {
-    const filePath = path.join(translationsDir, `${locale}.json`);
-
     try {
-        const content = fs.readFileSync(filePath, "utf-8");
-        return JSON.parse(content);
+        return loadLocaleFile(config, locale);
     } catch (error) {
-        throw new Error(`Could not load ${locale}.json: ${error}`);
+        throw new Error(`Could not load ${path.basename(getLocaleFilePath(config, locale))}: ${error}`);
+    }
+}
+
+/**
+ * Save translation file in the configured format (sorted keys)
+ */
+function saveTranslationFile(locale, translations, sources) {
+    saveLocaleFile(config, locale, translations, { sources });
+}
+
+/**
+ * Rebuild the bundles from the locale files and the usages in _meta.json
+ */
+function rebuildBundles() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(translationsDir, "_meta.json"), "utf-8"));
+    const usages = new Map(Object.entries(manifest).map(([key, meta]) => [key, meta.usages]));
+    const translationsByLocale = {};
+    for (const locale of [...config.locales, ...config.pseudo.locales]) {
+        if (fs.existsSync(getLocaleFilePath(config, locale))) {
+            translationsByLocale[locale] = loadTranslationFile(locale);
+        }
     }
+
+    const keys = Object.keys(translationsByLocale[config.canonicalLocale]);
+    const bundles = assignBundles(config, keys, usages);
+    writeBundles(config, bundles, translationsByLocale);
+    console.log(`📦 Rebuilt ${bundles.size} bundles`);
 }
 
 /**
- * Save translation file with proper formatting
+ * Check every translation against its English source (placeholders, tags,
+ * whitespace, final punctuation) and the glossary. Returns issues grouped by locale.
  */
-function saveTranslationFile(locale, translations) {
-    const filePath = path.join(translationsDir, `${locale}.json`);
+function checkIntegrity(localeEntries) {
+    const canonicalTranslations = loadTranslationFile(config.canonicalLocale);
+    const glossary = loadGlossary(config);
+    const issuesByLocale = {};
+
+    for (const [locale, translations] of localeEntries) {
+        const issues = [];
 
-    // Write with consistent formatting (2 spaces, sorted keys)
-    const sortedTranslations = {};
-    const sortedKeys = Object.keys(translations).sort();
+        for (const [key, value] of Object.entries(translations)) {
+            const source = canonicalTranslations[key] ?? parseKey(key).text;
+            const sourceForms = isPluralValue(source) ? source : { other: source };
 
-    for (const key of sortedKeys) {
-        sortedTranslations[key] = translations[key];
+            if (isPluralValue(value)) {
+                // Plural forms may leave out {count}, e.g. "One item"
+                for (const [category, form] of Object.entries(value)) {
+                    const sourceForm = sourceForms[category] || sourceForms.other;
+                    for (const issue of [
+                        ...checkTranslation(sourceForm, form, {
+                            messageFormat: config.messageFormat,
+                            optional: ["count"],
+                        }),
+                        ...checkGlossary(glossary, sourceForm, form, locale),
+                    ]) {
+                        issues.push(`"${key}" [${category}]: ${issue}`);
+                    }
+                }
+            } else {
+                for (const issue of [
+                    ...checkTranslation(sourceForms.other, value, {
+                        messageFormat: config.messageFormat,
+                    }),
+                    ...checkGlossary(glossary, sourceForms.other, value, locale),
+                ]) {
+                    issues.push(`"${key}": ${issue}`);
+                }
+            }
+        }
+
+        issuesByLocale[locale] = issues;
     }
 
-    fs.writeFileSync(
-        filePath,
-        JSON.stringify(sortedTranslations, null, 2) + "\n"
-    );
+    return issuesByLocale;
 }
 
 /**
@@ -78,15 +150,22 @@ function main() {
         process.exit(1);
     }
 
+    // Sections starting with "_" (like _meta) are guidance for translators, not locales
+    const localeEntries = Object.entries(toTranslateData).filter(
+        ([locale]) => !locale.startsWith("_")
+    );
+
     console.log(
-        `📄 Found translations for locales: ${Object.keys(toTranslateData).join(", ")}`
+        `📄 Found translations for locales: ${localeEntries.map(([locale]) => locale).join(", ")}`
     );
 
+    const keyMeta = toTranslateData._meta || {};
+
     // Validate format and check for untranslated content
     let hasEmptyTranslations = false;
     const allEmptyTranslations = [];
 
-    for (const [locale, translations] of Object.entries(toTranslateData)) {
+    for (const [locale, translations] of localeEntries) {
         if (typeof translations !== "object" || translations === null) {
             console.error(
                 `❌ Invalid format in toTranslate.json for locale '${locale}'`
@@ -94,15 +173,20 @@ function main() {
             process.exit(1);
         }
 
-        // Check for empty translations
-        const emptyTranslations = Object.entries(translations).filter(
-            ([key, value]) => !value || value.trim() === ""
-        );
-        if (emptyTranslations.length > 0) {
+        // Check for empty translations (plural keys need every CLDR category of the locale)
+        for (const [key, value] of Object.entries(translations)) {
+            const plural = keyMeta[key]?.plural || isPluralValue(value);
+            if (!isMissingValue(value, locale, plural)) continue;
+
             hasEmptyTranslations = true;
-            allEmptyTranslations.push(
-                ...emptyTranslations.map(([key]) => `${locale}: "${key}"`)
-            );
+            if (plural) {
+                const missing = getMissingPluralCategories(value, locale);
+                allEmptyTranslations.push(
+                    `${locale}: "${key}" (plural forms: ${missing.join(", ")})`
+                );
+            } else {
+                allEmptyTranslations.push(`${locale}: "${key}"`);
+            }
         }
     }
 
@@ -119,30 +203,108 @@ function main() {
         process.exit(1);
     }
 
+    // Reject translations whose ICU MessageFormat syntax doesn't parse
+    if (config.messageFormat === "icu") {
+        const syntaxErrors = [];
+
+        for (const [locale, translations] of localeEntries) {
+            for (const [key, value] of Object.entries(translations)) {
+                const messages = isPluralValue(value)
+                    ? Object.entries(value).map(([category, form]) => [` [${category}]`, form])
+                    : [["", value]];
+
+                for (const [label, message] of messages) {
+                    try {
+                        parseMessage(message);
+                    } catch (error) {
+                        syntaxErrors.push(`${locale}: "${key}"${label}: ${error.message}`);
+                    }
+                }
+            }
+        }
+
+        if (syntaxErrors.length > 0) {
+            console.error(`❌ Some translations are not valid ICU MessageFormat:`);
+            for (const item of syntaxErrors) {
+                console.error(`   - ${item}`);
+            }
+            process.exit(1);
+        }
+    }
+
+    // Report placeholder/tag/punctuation issues per locale
+    console.log(`\n🔎 Checking placeholders, tags, whitespace, punctuation and glossary...`);
+    const issuesByLocale = checkIntegrity(localeEntries);
+    let totalIssues = 0;
+
+    for (const [locale, issues] of Object.entries(issuesByLocale)) {
+        if (issues.length === 0) {
+            console.log(`✅ ${locale}: no issues`);
+            continue;
+        }
+
+        totalIssues += issues.length;
+        console.warn(`⚠️  ${locale}: ${issues.length} issue${issues.length === 1 ? "" : "s"}`);
+        for (const issue of issues) {
+            console.warn(`   - ${issue}`);
+        }
+    }
+
+    if (totalIssues > 0 && strict) {
+        console.error(
+            `\n❌ Refusing to merge: found ${totalIssues} issues (--strict)`
+        );
+        process.exit(1);
+    }
+    console.log("");
+
+    // Remind the reviewer of translation memory suggestions still marked for review
+    for (const [locale, entries] of Object.entries(toTranslateData._review || {})) {
+        const keys = Object.keys(entries);
+        if (keys.length === 0) continue;
+        console.warn(
+            `📝 ${locale}: ${keys.length} translations pre-filled from translation memory, please review:`
+        );
+        for (const key of keys) {
+            const { suggestion, from } = entries[key];
+            console.warn(`   - "${key}" (${suggestion} match of "${from}")`);
+        }
+    }
+
     // Merge translations into locale files
     let totalMerged = 0;
+    const canonicalTranslations = loadTranslationFile(config.canonicalLocale);
+    const sourceHashes = loadSourceHashes(config);
 
-    for (const [locale, newTranslations] of Object.entries(toTranslateData)) {
+    for (const [locale, newTranslations] of localeEntries) {
         try {
             const currentTranslations = loadTranslationFile(locale);
 
             // Merge new translations (only overwrite if new value is not empty)
             let mergedCount = 0;
             for (const [key, value] of Object.entries(newTranslations)) {
-                if (value && value.trim() !== "") {
+                if (!isMissingValue(value, locale)) {
                     currentTranslations[key] = value;
+                    sourceHashes[locale] = sourceHashes[locale] || {};
+                    sourceHashes[locale][key] = hashSource(canonicalTranslations[key]);
                     mergedCount++;
                 }
             }
 
-            saveTranslationFile(locale, currentTranslations);
-            console.log(`✅ ${locale}.json: merged ${mergedCount} translations`);
+            saveTranslationFile(locale, currentTranslations, canonicalTranslations);
+            console.log(`✅ ${path.basename(getLocaleFilePath(config, locale))}: merged ${mergedCount} translations`);
             totalMerged += mergedCount;
         } catch (error) {
             console.error(`❌ Error merging translations for '${locale}':`, error);
         }
     }
 
+    saveSourceHashes(config, sourceHashes);
+
+    if (config.bundles.enabled) {
+        rebuildBundles();
+    }
+
     if (totalMerged > 0) {
         // Delete toTranslate.json (since all translations were applied successfully)
         fs.unlinkSync(toTranslatePath);
@@ -0,0 +1,27 @@
+export type MessageNode =
+    | string
+    | { type: "pound" }
+    | { type: "argument"; name: string }
+    | { type: "number" | "date" | "time"; name: string; style: string | null }
+    | {
+          type: "plural" | "selectordinal" | "select";
+          name: string;
+          offset: number;
+          options: Record<string, MessageNode[]>;
+      };
+
+export class MessageFormatError extends Error {
+    offset: number;
+    constructor(message: string, offset: number);
+}
+
+export function parseMessage(message: string): MessageNode[];
+
+export function getArgumentNames(nodes: MessageNode[]): string[];
+
+export function formatMessage(
+    nodes: MessageNode[],
+    params?: Record<string, unknown>,
+    locale?: string,
+    pluralValue?: number | null
+): string;
@@ -0,0 +1,339 @@
+/**
+ * messageFormat - Small ICU MessageFormat parser and formatter
+ *
+ * Shared by I18nProvider (runtime formatting) and mergeTranslations.js
+ * (syntax validation), so it has no dependencies and runs in the browser
+ * and in Node. Supported syntax:
+ *
+ *   {name}                                       plain argument
+ *   {n, number} {n, number, integer|percent}     Intl.NumberFormat
+ *   {price, number, currency/EUR}                currency (or ::currency/EUR)
+ *   {d, date, short|medium|long|full}            Intl.DateTimeFormat dateStyle
+ *   {d, time, short|medium|long|full}            Intl.DateTimeFormat timeStyle
+ *   {n, plural, =0 {none} one {# item} other {# items}}
+ *   {n, plural, offset:1 ...} {n, selectordinal, one {#st} ...}
+ *   {gender, select, female {She} male {He} other {They}}
+ *   '{literal}' and '' for quoting, as in ICU
+ */
+
+const NUMBER_STYLES = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: "percent" },
+};
+
+const DATE_STYLES = ["short", "medium", "long", "full"];
+
+function isNumberStyle(style) {
+    const normalized = style.replace(/^::\s*/, "");
+    return (
+        Boolean(NUMBER_STYLES[normalized]) ||
+        /^currency(?:\/[A-Za-z]{3})?$/.test(normalized)
+    );
+}
+
+/**
+ * Error thrown for ICU syntax errors, with the offset where parsing failed
+ */
+export class MessageFormatError extends Error {
+    constructor(message, offset) {
+        super(`${message} (at position ${offset})`);
+        this.name = "MessageFormatError";
+        this.offset = offset;
+    }
+}
+
+/**
+ * Parse an ICU message into an array of nodes (strings and argument objects).
+ * Throws MessageFormatError when the syntax is invalid.
+ */
+export function parseMessage(message) {
+    let index = 0;
+
+    const fail = (reason) => {
+        throw new MessageFormatError(reason, index);
+    };
+
+    const skipWhitespace = () => {
+        while (index < message.length && /\s/.test(message[index])) index++;
+    };
+
+    const readIdentifier = () => {
+        skipWhitespace();
+        const start = index;
+        while (index < message.length && /[^\s{},]/.test(message[index])) index++;
+        if (start === index) fail("Expected an argument name");
+        return message.slice(start, index);
+    };
+
+    const expect = (char) => {
+        skipWhitespace();
+        if (message[index] !== char) fail(`Expected "${char}"`);
+        index++;
+    };
+
+    // Text up to the next unquoted { or } (and # inside plurals)
+    const parseNodes = (inPlural) => {
+        const nodes = [];
+        let text = "";
+
+        const pushText = () => {
+            if (text) nodes.push(text);
+            text = "";
+        };
+
+        while (index < message.length) {
+            const char = message[index];
+
+            if (char === "'") {
+                const next = message[index + 1];
+                if (next === "'") {
+                    text += "'";
+                    index += 2;
+                } else if (next === "{" || next === "}" || (inPlural && next === "#")) {
+                    // Quoted literal until the next single apostrophe
+                    index++;
+                    while (index < message.length) {
+                        if (message[index] === "'") {
+                            if (message[index + 1] === "'") {
+                                text += "'";
+                                index += 2;
+                                continue;
+                            }
+                            break;
+                        }
+                        text += message[index++];
+                    }
+                    if (index >= message.length) fail("Unterminated quoted literal");
+                    index++;
+                } else {
+                    text += char;
+                    index++;
+                }
+            } else if (char === "{") {
+                pushText();
+                nodes.push(parseArgument());
+            } else if (char === "}") {
+                break;
+            } else if (char === "#" && inPlural) {
+                pushText();
+                nodes.push({ type: "pound" });
+                index++;
+            } else {
+                text += char;
+                index++;
+            }
+        }
+
+        pushText();
+        return nodes;
+    };
+
+    const parseOptions = (type) => {
+        const options = {};
+        let offset = 0;
+
+        skipWhitespace();
+        if (type === "plural" && message.startsWith("offset:", index)) {
+            index += "offset:".length;
+            skipWhitespace();
+            const start = index;
+            while (/\d/.test(message[index] || "")) index++;
+            if (start === index) fail("Expected a number after offset:");
+            offset = Number(message.slice(start, index));
+        }
+
+        while (true) {
+            skipWhitespace();
+            if (message[index] === "}" || index >= message.length) break;
+
+            const selector = readIdentifier();
+            if (options[selector]) fail(`Duplicate option "${selector}"`);
+            expect("{");
+            options[selector] = parseNodes(type !== "select");
+            if (message[index] !== "}") fail(`Unclosed option "${selector}"`);
+            index++;
+        }
+
+        if (!options.other) fail(`The ${type} argument needs an "other" option`);
+        return { options, offset };
+    };
+
+    const parseArgument = () => {
+        index++; // {
+        const name = readIdentifier();
+        skipWhitespace();
+
+        let node;
+        if (message[index] === "}") {
+            node = { type: "argument", name };
+        } else {
+            expect(",");
+            const type = readIdentifier();
+            skipWhitespace();
+
+            if (type === "plural" || type === "selectordinal" || type === "select") {
+                expect(",");
+                node = { type, name, ...parseOptions(type) };
+            } else if (type === "number" || type === "date" || type === "time") {
+                let style = null;
+                if (message[index] === ",") {
+                    index++;
+                    skipWhitespace();
+                    const styleStart = index;
+                    while (index < message.length && message[index] !== "}") {
+                        if (message[index] === "{") fail("Unexpected \"{\" in style");
+                        index++;
+                    }
+                    style = message.slice(styleStart, index).trim();
+                    if (!style) fail(`Expected a ${type} style`);
+                    if (type === "number" ? !isNumberStyle(style) : !DATE_STYLES.includes(style)) {
+                        fail(`Unsupported ${type} style "${style}"`);
+                    }
+                }
+                node = { type, name, style };
+            } else {
+                fail(`Unknown argument type "${type}"`);
+            }
+        }
+
+        skipWhitespace();
+        if (message[index] !== "}") fail(`Unclosed argument "${name}"`);
+        index++;
+        return node;
+    };
+
+    const nodes = parseNodes(false);
+    if (index < message.length) fail('Unexpected "}"');
+    return nodes;
+}
+
+/**
+ * Names of every argument a message uses, including plural/select arguments
+ * and arguments nested in their options
+ */
+export function getArgumentNames(nodes) {
+    const names = new Set();
+
+    const visit = (list) => {
+        for (const node of list) {
+            if (typeof node === "string" || node.type === "pound") continue;
+            names.add(node.name);
+            if (node.options) {
+                Object.values(node.options).forEach(visit);
+            }
+        }
+    };
+
+    visit(nodes);
+    return [...names];
+}
+
+// Intl objects are expensive to create, so reuse them per locale and options
+const formatterCache = new Map();
+
+function getFormatter(Formatter, locale, options) {
+    const cacheKey = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+    if (!formatterCache.has(cacheKey)) {
+        formatterCache.set(cacheKey, new Formatter(locale, options));
+    }
+    return formatterCache.get(cacheKey);
+}
+
+function getNumberOptions(style, params) {
+    if (!style) return {};
+    const normalized = style.replace(/^::\s*/, "");
+    if (NUMBER_STYLES[normalized]) return NUMBER_STYLES[normalized];
+
+    const currencyMatch = normalized.match(/^currency(?:\/([A-Za-z]{3}))?$/);
+    if (currencyMatch) {
+        return {
+            style: "currency",
+            currency: (currencyMatch[1] || String(params.currency || "USD")).toUpperCase(),
+        };
+    }
+    return {};
+}
+
+/**
+ * Format parsed message nodes with params, using Intl for the given locale
+ */
+export function formatMessage(nodes, params = {}, locale = "en", pluralValue = null) {
+    let result = "";
+
+    for (const node of nodes) {
+        if (typeof node === "string") {
+            result += node;
+            continue;
+        }
+
+        if (node.type === "pound") {
+            result += pluralValue === null
+                ? "#"
+                : getFormatter(Intl.NumberFormat, locale, {}).format(pluralValue);
+            continue;
+        }
+
+        const value = params[node.name];
+
+        switch (node.type) {
+            case "argument":
+                result += value === undefined ? `{${node.name}}` : String(value);
+                break;
+            case "number": {
+                const number = Number(value);
+                // Missing or non-numeric values would render "NaN"
+                if (value === undefined || value === null || !Number.isFinite(number)) {
+                    result += `{${node.name}}`;
+                    break;
+                }
+                let formatter;
+                try {
+                    formatter = getFormatter(Intl.NumberFormat, locale, getNumberOptions(node.style, params));
+                } catch (error) {
+                    // An invalid params.currency makes the formatter throw during render
+                    formatter = getFormatter(Intl.NumberFormat, locale, {});
+                }
+                result += formatter.format(number);
+                break;
+            }
+            case "date":
+            case "time": {
+                const date = value instanceof Date ? value : new Date(value);
+                // Missing or invalid dates would make format() throw during render
+                if (value === undefined || Number.isNaN(date.getTime())) {
+                    result += `{${node.name}}`;
+                    break;
+                }
+                result += getFormatter(Intl.DateTimeFormat, locale, {
+                    [node.type === "date" ? "dateStyle" : "timeStyle"]: node.style || "medium",
+                }).format(date);
+                break;
+            }
+            case "plural":
+            case "selectordinal": {
+                const number = Number(value) - node.offset;
+                const exact = node.options[`=${Number(value)}`];
+                const category = getFormatter(Intl.PluralRules, locale, {
+                    type: node.type === "plural" ? "cardinal" : "ordinal",
+                }).select(number);
+                result += formatMessage(
+                    exact || node.options[category] || node.options.other,
+                    params,
+                    locale,
+                    number
+                );
+                break;
+            }
+            case "select":
+                result += formatMessage(
+                    node.options[String(value)] || node.options.other,
+                    params,
+                    locale,
+                    pluralValue
+                );
+                break;
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,117 @@
+/**
+ * orphans - Dynamic-key allowlist and the archive for keys the scanner lost
+ *
+ * Keys used through variables (tr(statusLabel)) can't be found statically.
+ * They can be declared in the allowlist file (config.orphans.dynamicKeys,
+ * default <translationsDir>/dynamicKeys.json):
+ *
+ *   {
+ *       "keys": ["Active", "Archived"],   // always kept (and translated)
+ *       "patterns": ["^Status: "]         // existing keys matching these are kept
+ *   }
+ *
+ * or with a magic comment next to the code (see extractTrKeys.js):
+ *
+ *   // i18n-keys: "Active", "Archived"
+ *
+ * Orphaned keys are not deleted right away: their translations move to
+ * <translationsDir>/_archive.json and are purged after config.orphans.graceDays
+ * days or config.orphans.graceRuns runs. A key that comes back is restored
+ * from the archive instead of being translated again.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getArchivePath(config) {
+    return path.join(config.translationsDir, "_archive.json");
+}
+
+export function getDynamicKeysPath(config) {
+    return path.resolve(
+        config.projectRoot,
+        config.orphans.dynamicKeys || path.join(config.translationsDir, "dynamicKeys.json")
+    );
+}
+
+/**
+ * Load the dynamic-key allowlist: { keys: [...], patterns: [RegExp] }
+ */
+export function loadDynamicKeys(config) {
+    const filePath = getDynamicKeysPath(config);
+    if (!fs.existsSync(filePath)) {
+        return { keys: [], patterns: [] };
+    }
+
+    const allowlist = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return {
+        keys: allowlist.keys || [],
+        patterns: (allowlist.patterns || []).map((pattern) => new RegExp(pattern)),
+    };
+}
+
+/**
+ * Add keys to the allowlist file (used by --restore)
+ */
+export function addDynamicKeys(config, keys) {
+    const filePath = getDynamicKeysPath(config);
+    const allowlist = fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, "utf-8"))
+        : { keys: [], patterns: [] };
+
+    allowlist.keys = [...new Set([...(allowlist.keys || []), ...keys])].sort();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(allowlist, null, 2) + "\n");
+}
+
+/**
+ * Load the orphan archive: { [key]: { archivedAt, runs, translations: { [locale]: value } } }
+ */
+export function loadArchive(config) {
+    try {
+        return JSON.parse(fs.readFileSync(getArchivePath(config), "utf-8"));
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save the orphan archive with sorted keys
+ */
+export function saveArchive(config, archive) {
+    const sorted = {};
+    for (const key of Object.keys(archive).sort()) {
+        sorted[key] = archive[key];
+    }
+
+    fs.mkdirSync(config.translationsDir, { recursive: true });
+    fs.writeFileSync(getArchivePath(config), JSON.stringify(sorted, null, 2) + "\n");
+}
+
+/**
+ * Count a run for every archived key and purge the ones past the grace period.
+ * Keys archived during this run (listed in `justArchived`) are left alone.
+ * Returns the purged keys.
+ */
+export function ageArchive(config, archive, justArchived, now = new Date()) {
+    const { graceDays, graceRuns } = config.orphans;
+    const purged = [];
+
+    for (const [key, entry] of Object.entries(archive)) {
+        if (justArchived.includes(key)) continue;
+
+        entry.runs = (entry.runs || 0) + 1;
+        const ageDays = (now - new Date(entry.archivedAt)) / DAY_MS;
+        const expiredByDays = graceDays !== null && graceDays !== undefined && ageDays >= graceDays;
+        const expiredByRuns = graceRuns !== null && graceRuns !== undefined && entry.runs >= graceRuns;
+
+        if (expiredByDays || expiredByRuns) {
+            delete archive[key];
+            purged.push(key);
+        }
+    }
+
+    return purged;
+}
@@ -0,0 +1,177 @@
+/**
+ * pseudoLocalize - Generated pseudo-locales for UI testing
+ *
+ * updateTranslations.js writes a locale file for every locale in
+ * config.pseudo.locales, made from the canonical (English) file:
+ *
+ *   "Save {count} items"  en-XA  "[Šåvé {count} îţéɱš ~~~]"
+ *                         ar-XB  "[\u202ESave\u202C {count} \u202Eitems\u202C ~~~]"
+ *
+ * Text that isn't accented is hardcoded, the padding (config.pseudo.expansion,
+ * 0.3 = 30% longer) shows where longer languages will overflow and the
+ * brackets show where strings are cut off or concatenated. Locales of
+ * right-to-left languages (ar-XB) mirror the text instead, for testing RTL
+ * layouts. {placeholders}, ICU arguments and <tags> are kept as they are.
+ */
+
+import { getTextDirection } from "./localeMetadata.js";
+import { getPluralCategories, isPluralValue } from "./translationValues.js";
+
+const ACCENTED = [..."åƀçðéƒĝĥîĵķļɱñöþǫŕšţûṽŵẋýžÅƁÇÐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŢÛṼŴẊÝŽ"];
+const ACCENTS = new Map(
+    [..."abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ"].map((char, index) => [
+        char,
+        ACCENTED[index],
+    ])
+);
+
+// Right-to-left override ... pop directional formatting
+const RLO = "\u202E";
+const PDF = "\u202C";
+
+const TAG = /^<\/?[A-Za-z][\w.-]*(?:\s[^<>]*?)?\s*\/?>/;
+const ICU_CHOICE = /^\s*[\w$.-]+\s*,\s*(?:plural|selectordinal|select)\s*,/;
+const ICU_OPTION = /^\s*(offset:\s*\d+\s*)?(=?[\w-]+)\s*(?=\{)/;
+
+/**
+ * Index of the "}" that closes the "{" at `start`, or -1
+ */
+function findClosingBrace(message, start) {
+    let depth = 0;
+    for (let index = start; index < message.length; index++) {
+        if (message[index] === "{") depth++;
+        else if (message[index] === "}" && --depth === 0) return index;
+    }
+    return -1;
+}
+
+/**
+ * Apply `transformText` to the text of a message, keeping tags and arguments.
+ * With ICU, the option texts of plural/select arguments are transformed too.
+ */
+function transformMessage(message, transformText, icu) {
+    let result = "";
+    let text = "";
+    let index = 0;
+
+    const flush = () => {
+        result += text && transformText(text);
+        text = "";
+    };
+
+    while (index < message.length) {
+        const rest = message.slice(index);
+
+        const tag = rest[0] === "<" && rest.match(TAG);
+        if (tag) {
+            flush();
+            result += tag[0];
+            index += tag[0].length;
+            continue;
+        }
+
+        // ICU quoting: '{literal}' stays as it is
+        if (icu && rest[0] === "'" && /^'[{}#|]/.test(rest)) {
+            const end = message.indexOf("'", index + 1);
+            const quoted = end === -1 ? rest : message.slice(index, end + 1);
+            flush();
+            result += quoted;
+            index += quoted.length;
+            continue;
+        }
+
+        const end = rest[0] === "{" ? findClosingBrace(message, index) : -1;
+        if (end !== -1) {
+            flush();
+            result += transformArgument(message.slice(index, end + 1), transformText, icu);
+            index = end + 1;
+            continue;
+        }
+
+        text += rest[0];
+        index++;
+    }
+
+    flush();
+    return result;
+}
+
+/**
+ * {count, plural, one {# item} other {# items}} -> same header, transformed options
+ */
+function transformArgument(argument, transformText, icu) {
+    const inner = argument.slice(1, -1);
+    const header = icu && inner.match(ICU_CHOICE);
+    if (!header) return argument;
+
+    let result = header[0];
+    let rest = inner.slice(header[0].length);
+    let option;
+    while ((option = rest.match(ICU_OPTION))) {
+        const start = option[0].length;
+        const end = findClosingBrace(rest, start);
+        if (end === -1) break;
+
+        const body = rest.slice(start + 1, end);
+        result += `${option[0]}{${transformMessage(body, transformText, icu)}}`;
+        rest = rest.slice(end + 1);
+    }
+
+    return `{${result}${rest}}`;
+}
+
+/**
+ * Pseudo-localize one message
+ */
+export function pseudoLocalize(message, locale, options = {}) {
+    const { expansion = 0.3, brackets = ["[", "]"], messageFormat = "simple" } = options;
+    const rtl = getTextDirection(locale) === "rtl";
+
+    let letters = 0;
+    const transformText = (text) => {
+        letters += text.replace(/\s/g, "").length;
+        if (rtl) {
+            // Mirror each run of non-space text, keep the spaces between them
+            return text.replace(/\S+/g, (word) => `${RLO}${word}${PDF}`);
+        }
+        return text.replace(/[A-Za-z]/g, (char) => ACCENTS.get(char));
+    };
+
+    let result = transformMessage(message, transformText, messageFormat === "icu");
+
+    const padding = Math.ceil(letters * expansion);
+    if (padding > 0) {
+        result += ` ${"~".repeat(padding)}`;
+    }
+    if (brackets) {
+        result = `${brackets[0]}${result}${brackets[1]}`;
+    }
+    return result;
+}
+
+/**
+ * Translations of a pseudo-locale, made from the canonical translations.
+ * Plural values get every category the pseudo-locale's language needs
+ * (ar-XB has six), filled from the matching English form or "other".
+ */
+export function buildPseudoTranslations(config, locale, canonicalTranslations) {
+    const options = { ...config.pseudo, messageFormat: config.messageFormat };
+    const translations = {};
+
+    for (const [key, value] of Object.entries(canonicalTranslations)) {
+        if (isPluralValue(value)) {
+            translations[key] = {};
+            for (const category of getPluralCategories(locale)) {
+                translations[key][category] = pseudoLocalize(
+                    value[category] ?? value.other ?? "",
+                    locale,
+                    options
+                );
+            }
+        } else {
+            translations[key] = pseudoLocalize(value, locale, options);
+        }
+    }
+
+    return translations;
+}
@@ -0,0 +1,65 @@
+/**
+ * runtimeKeys - Keys recorded at runtime by createKeyCollector() (i18nContext.tsx)
+ *
+ * The app writes the collector as JSON, for example from a server route:
+ *
+ *   fs.writeFileSync("app/translations/runtimeKeys.json", JSON.stringify(collector, null, 2));
+ *
+ *   { "keys": { "Active": { "locales": ["de"], "missing": ["de"], "lastSeen": "2024-05-01T..." }, ... } }
+ *
+ * updateTranslations.js reads the files in config.runtimeKeys (default
+ * <translationsDir>/runtimeKeys.json) and keeps/adds those keys, which covers
+ * dynamic keys like tr(statusLabel) that the static scanner can't see.
+ * A key last seen more than config.orphans.graceDays days ago is no longer
+ * kept, so it becomes an orphan like any other unused key (see orphans.js).
+ * Dumps without lastSeen use the modification time of their file.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Paths of the runtime key dumps (absolute)
+ */
+export function getRuntimeKeysPaths(config) {
+    const files = config.runtimeKeys || [path.join(config.translationsDir, "runtimeKeys.json")];
+    return [].concat(files).map((file) => path.resolve(config.projectRoot, file));
+}
+
+/**
+ * Keys from every runtime dump that exists, seen within the orphan grace
+ * period: { keys: Map<key, { file, plural, lastSeen }>, expired: [keys] }
+ */
+export function loadRuntimeKeys(config, now = new Date()) {
+    const all = new Map();
+
+    for (const filePath of getRuntimeKeysPaths(config)) {
+        if (!fs.existsSync(filePath)) continue;
+
+        const dump = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+        const file = path.relative(config.projectRoot, filePath).split(path.sep).join("/");
+        const fileTime = fs.statSync(filePath).mtime;
+        for (const [key, entry] of Object.entries(dump.keys || {})) {
+            const known = all.get(key);
+            const lastSeen = entry.lastSeen ? new Date(entry.lastSeen) : fileTime;
+            all.set(key, {
+                file: known?.file || file,
+                plural: Boolean(known?.plural || entry.plural),
+                lastSeen: known && known.lastSeen > lastSeen ? known.lastSeen : lastSeen,
+            });
+        }
+    }
+
+    const { graceDays } = config.orphans;
+    const keys = new Map();
+    const expired = [];
+    for (const [key, entry] of all) {
+        const ageDays = (now - entry.lastSeen) / DAY_MS;
+        if (graceDays !== null && graceDays !== undefined && ageDays >= graceDays) expired.push(key);
+        else keys.set(key, entry);
+    }
+
+    return { keys, expired };
+}
@@ -0,0 +1,59 @@
+/**
+ * sourceHashes - Which version of the English text each translation was made from
+ *
+ * Stored in <translationsDir>/_sourceHashes.json:
+ *
+ *   { "de": { "Save changes": "3f2a9c1e0b7d", ... }, ... }
+ *
+ * mergeTranslations.js records the hash of the canonical value for every
+ * translation it merges. When the English value in en.json is edited later,
+ * updateTranslations.js sees a different hash and re-queues the translation
+ * as "needs update". Translations without a recorded hash (written by hand,
+ * or made before this file existed) are assumed to be up to date.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+function getHashesPath(config) {
+    return path.join(config.translationsDir, "_sourceHashes.json");
+}
+
+/**
+ * Short hash of a canonical value (a string or plural forms)
+ */
+export function hashSource(value) {
+    return crypto
+        .createHash("sha256")
+        .update(JSON.stringify(value ?? ""))
+        .digest("hex")
+        .slice(0, 12);
+}
+
+/**
+ * Load the source hashes, or an empty set
+ */
+export function loadSourceHashes(config) {
+    try {
+        return JSON.parse(fs.readFileSync(getHashesPath(config), "utf-8"));
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save the source hashes with sorted locales and keys
+ */
+export function saveSourceHashes(config, hashes) {
+    const sorted = {};
+    for (const locale of Object.keys(hashes).sort()) {
+        sorted[locale] = {};
+        for (const key of Object.keys(hashes[locale]).sort()) {
+            sorted[locale][key] = hashes[locale][key];
+        }
+    }
+
+    fs.mkdirSync(config.translationsDir, { recursive: true });
+    fs.writeFileSync(getHashesPath(config), JSON.stringify(sorted, null, 2) + "\n");
+}
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * testWrapFixtures script - Checks wrapTransforms.js against the fixtures in
+ * fixtures/wrap and fixtures/bindings
+ *
+ * Every <name>.before.tsx must give <name>.after.tsx, and wrapping that again
+ * must change nothing. fixtures/wrap goes through wrapSource(),
+ * fixtures/bindings through wrapFile() as app/routes/<name>.tsx, so it also
+ * gets the hooks, getServerT() calls and imports. The fixtures use the
+ * polaris, html and messages presets.
+ *
+ * Usage:
+ *   node scripts/testWrapFixtures.js            # exits with code 1 on a mismatch
+ *   node scripts/testWrapFixtures.js --update   # rewrites the .after.tsx files
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { hasFlag, loadConfig, loadTypeScript } from "./i18nConfig.js";
+import { createUnifiedDiff } from "./unifiedDiff.js";
+import { getWrapRules } from "./wrapPresets.js";
+import { wrapFile, wrapSource } from "./wrapTransforms.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const BEFORE = ".before.tsx";
+const AFTER = ".after.tsx";
+
+const config = await loadConfig();
+const ts = loadTypeScript(config);
+// Fixed rules, so the fixtures don't depend on the project's config
+const rules = getWrapRules({
+    ...config,
+    wrapRules: { presets: ["polaris", "html", "messages"], rules: [] },
+    wrapperComponents: [],
+});
+// Fixed module paths too, so the added imports are the same everywhere
+const bindingsConfig = {
+    ...config,
+    i18nModule: path.join(config.projectRoot, "app", "contexts", "I18nContext"),
+    i18nServerModule: path.join(config.projectRoot, "app", "i18n.server"),
+};
+const updateMode = hasFlag("--update");
+
+const suites = [
+    { dir: "wrap", wrap: async (file, content) => (await wrapSource(ts, file, content, rules)).content },
+    {
+        dir: "bindings",
+        wrap: async (file, content) => {
+            const routeFile = path.join(config.projectRoot, "app", "routes", path.basename(file, BEFORE) + ".tsx");
+            return (await wrapFile(ts, bindingsConfig, routeFile, content, rules)).content;
+        },
+    },
+];
+const fixtures = suites.flatMap(({ dir, wrap }) =>
+    fs
+        .readdirSync(path.join(FIXTURES_DIR, dir))
+        .filter((file) => file.endsWith(BEFORE))
+        .map((file) => ({ dir, wrap, name: file.slice(0, -BEFORE.length) }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+);
+let failedCount = 0;
+
+for (const { dir, wrap, name } of fixtures) {
+    const beforePath = path.join(FIXTURES_DIR, dir, `${name}${BEFORE}`);
+    const afterPath = path.join(FIXTURES_DIR, dir, `${name}${AFTER}`);
+    const before = fs.readFileSync(beforePath, "utf8");
+
+    const wrapped = await wrap(beforePath, before);
+    const wrappedAgain = await wrap(beforePath, wrapped);
+
+    if (updateMode) fs.writeFileSync(afterPath, wrapped);
+    const expected = fs.existsSync(afterPath) ? fs.readFileSync(afterPath, "utf8") : null;
+
+    const problems = [];
+    if (expected === null) {
+        problems.push(`${name}${AFTER} is missing, create it with --update`);
+    } else if (wrapped !== expected) {
+        problems.push(`Result differs from ${name}${AFTER}:\n${createUnifiedDiff(`${name}${AFTER}`, expected, wrapped)}`);
+    }
+    if (wrappedAgain !== wrapped) {
+        problems.push(`A second run changed it:\n${createUnifiedDiff(`${name}${AFTER}`, wrapped, wrappedAgain)}`);
+    }
+
+    if (problems.length > 0) {
+        console.error(`❌ ${dir}/${name}`);
+        problems.forEach((problem) => console.error(`   ${problem}`));
+        failedCount++;
+    } else {
+        console.log(`${updateMode ? "📝" : "✅"} ${dir}/${name}`);
+    }
+}
+
+if (failedCount > 0) {
+    console.error(`\n❌ ${failedCount} of ${fixtures.length} fixtures failed.`);
+    process.exit(1);
+}
+console.log(`\n✅ ${fixtures.length} fixtures passed.`);
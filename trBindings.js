@@ -0,0 +1,528 @@
+/**
+ * trBindings - Makes every tr() call of a file resolve, after wrapExistingText.js
+ * wrapped its strings
+ *
+ * Each component calling tr() (function and arrow components, forwardRef()
+ * and memo() wrappers, nested callbacks included) gets `const tr = useTr();`
+ * at the top. Hooks aren't allowed everywhere, so instead:
+ *
+ *   loaders and actions    const tr = getServerT(request);  (config.i18nServerModule)
+ *   class components       const tr = this.context;  with static contextType = TrContext
+ *   anything else          t() (see i18nContext.tsx)
+ *
+ * useTr, t, TrContext and Trans are merged into the file's import of
+ * config.i18nModule, or imported below the other imports ("use client"
+ * stays first). getServerT is imported the same way.
+ */
+
+import path from "path";
+import { importsModule, parseSource } from "./extractTrKeys.js";
+
+const HOOK = "useTr";
+const SERVER_FUNCTION = "getServerT";
+// Route exports that run on the server, for one request each
+const SERVER_EXPORTS = ["loader", "action"];
+const CLASS_CONTEXT = "TrContext";
+const CLASS_CONTEXT_TYPE = "TrFunction";
+const FALLBACK = "t";
+// Used instead of t when the file already has a t of its own (const t = ...)
+const FALLBACK_ALIAS = "translate";
+// Component wrappers, also as React.memo(...)
+const COMPONENT_WRAPPERS = ["forwardRef", "memo"];
+
+const isComponentName = (name) => /^[A-Z]/.test(name);
+
+function isFunctionLike(ts, node) {
+    return (
+        ts.isFunctionDeclaration(node) ||
+        ts.isFunctionExpression(node) ||
+        ts.isArrowFunction(node) ||
+        ts.isMethodDeclaration(node) ||
+        ts.isConstructorDeclaration(node) ||
+        ts.isGetAccessorDeclaration(node) ||
+        ts.isSetAccessorDeclaration(node)
+    );
+}
+
+/**
+ * Names a declaration binds, destructuring included
+ */
+function getBindingNames(ts, name) {
+    if (!name) return [];
+    if (ts.isIdentifier(name)) return [name.text];
+    if (ts.isObjectBindingPattern(name) || ts.isArrayBindingPattern(name)) {
+        return name.elements.flatMap((element) =>
+            ts.isBindingElement(element) ? getBindingNames(ts, element.name) : []
+        );
+    }
+    return [];
+}
+
+function getImportedNames(ts, declaration) {
+    const clause = declaration.importClause;
+    if (!clause) return [];
+    const names = clause.name ? [clause.name.text] : [];
+    const bindings = clause.namedBindings;
+    if (bindings && ts.isNamespaceImport(bindings)) names.push(bindings.name.text);
+    if (bindings && ts.isNamedImports(bindings)) {
+        names.push(...bindings.elements.map((element) => element.name.text));
+    }
+    return names;
+}
+
+function statementDeclares(ts, statement, name) {
+    if (ts.isVariableStatement(statement)) {
+        return statement.declarationList.declarations.some((declaration) =>
+            getBindingNames(ts, declaration.name).includes(name)
+        );
+    }
+    if (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) {
+        return statement.name?.text === name;
+    }
+    if (ts.isImportDeclaration(statement)) {
+        return getImportedNames(ts, statement).includes(name);
+    }
+    return false;
+}
+
+/**
+ * Check whether `name` is declared where `node` is: parameters and
+ * declarations of the enclosing functions and blocks, and the imports
+ */
+function isBound(ts, node, name) {
+    for (let current = node.parent; current; current = current.parent) {
+        if (isFunctionLike(ts, current)) {
+            if (current.parameters.some((parameter) => getBindingNames(ts, parameter.name).includes(name))) {
+                return true;
+            }
+            if (ts.isFunctionExpression(current) && current.name?.text === name) return true;
+        }
+        if (ts.isBlock(current) || ts.isSourceFile(current) || ts.isModuleBlock(current)) {
+            if (current.statements.some((statement) => statementDeclares(ts, statement, name))) return true;
+        }
+    }
+    return false;
+}
+
+function isDefaultExport(ts, node) {
+    return Boolean(
+        ts.canHaveModifiers(node) &&
+            ts.getModifiers(node)?.some((modifier) => modifier.kind === ts.SyntaxKind.DefaultKeyword)
+    );
+}
+
+/**
+ * Name of the component a function is, or null: function Name() {},
+ * const Name = () => {}, const Name = memo(forwardRef((props, ref) => {})),
+ * export default function () {}
+ */
+function getComponentName(ts, fn) {
+    if (ts.isFunctionDeclaration(fn)) {
+        if (!fn.name) return isDefaultExport(ts, fn) ? "default export" : null;
+        return isComponentName(fn.name.text) ? fn.name.text : null;
+    }
+    if (!ts.isArrowFunction(fn) && !ts.isFunctionExpression(fn)) return null;
+    if (fn.name && isComponentName(fn.name.text)) return fn.name.text;
+
+    let node = fn;
+    while (
+        ts.isCallExpression(node.parent) &&
+        node.parent.arguments[0] === node &&
+        COMPONENT_WRAPPERS.includes(node.parent.expression.getText().split(".").pop())
+    ) {
+        node = node.parent;
+    }
+
+    const { parent } = node;
+    if (ts.isVariableDeclaration(parent) && ts.isIdentifier(parent.name)) {
+        return isComponentName(parent.name.text) || node !== fn ? parent.name.text : null;
+    }
+    if (node === fn) return null;
+    return ts.isExportAssignment(parent) ? "default export" : "component";
+}
+
+function isExported(ts, node) {
+    return Boolean(
+        ts.canHaveModifiers(node) &&
+            ts.getModifiers(node)?.some((modifier) => modifier.kind === ts.SyntaxKind.ExportKeyword)
+    );
+}
+
+/**
+ * Name of the loader or action a function is, or null: export function
+ * loader() {}, export const action = async () => {}
+ */
+function getServerExportName(ts, fn) {
+    if (ts.isFunctionDeclaration(fn)) {
+        return fn.name && SERVER_EXPORTS.includes(fn.name.text) && isExported(ts, fn) ? fn.name.text : null;
+    }
+    if (!ts.isArrowFunction(fn) && !ts.isFunctionExpression(fn)) return null;
+
+    const { parent } = fn;
+    if (!ts.isVariableDeclaration(parent) || !ts.isIdentifier(parent.name)) return null;
+    const statement = parent.parent.parent;
+    return SERVER_EXPORTS.includes(parent.name.text) && ts.isVariableStatement(statement) && isExported(ts, statement)
+        ? parent.name.text
+        : null;
+}
+
+function isStatic(ts, member) {
+    return Boolean(
+        ts.getModifiers(member)?.some((modifier) => modifier.kind === ts.SyntaxKind.StaticKeyword)
+    );
+}
+
+/**
+ * Where a tr() call gets its tr from, or null for t():
+ * { kind: "hook" | "server" | "class", fn } with the function whose body
+ * declares it (the component, the loader or action, the class method)
+ */
+function getTarget(ts, call) {
+    for (let current = call.parent; current; current = current.parent) {
+        if (ts.isClassLike(current)) return null;
+        if (!isFunctionLike(ts, current)) continue;
+
+        if (getComponentName(ts, current)) return { kind: "hook", fn: current };
+        if (getServerExportName(ts, current)) return { kind: "server", fn: current };
+        if (
+            (ts.isMethodDeclaration(current) || ts.isGetAccessorDeclaration(current) || ts.isSetAccessorDeclaration(current)) &&
+            ts.isClassLike(current.parent) &&
+            !isStatic(ts, current)
+        ) {
+            return { kind: "class", fn: current };
+        }
+    }
+    return null;
+}
+
+/**
+ * Name of the function a call is in, for the log: "loader", "Settings.render"
+ */
+function getFunctionLabel(ts, call) {
+    for (let current = call.parent; current; current = current.parent) {
+        if (!isFunctionLike(ts, current)) continue;
+
+        let name = current.name?.getText();
+        if (!name && ts.isVariableDeclaration(current.parent)) name = current.parent.name.getText();
+        if (!name) continue;
+
+        const owner = ts.isClassLike(current.parent) ? current.parent.name?.text : null;
+        return owner ? `${owner}.${name}` : name;
+    }
+    return "module scope";
+}
+
+function getIndent(text, position) {
+    const lineStart = text.lastIndexOf("\n", position - 1) + 1;
+    return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * One level of indentation in a file: a tab, or the smallest indentation of
+ * its lines (JSDoc " * " lines aside), 4 spaces if nothing is indented
+ */
+function getIndentUnit(text) {
+    let unit = null;
+    for (const [, indent] of text.matchAll(/^([ \t]+)[^\s*]/gm)) {
+        if (indent.startsWith("\t")) return "\t";
+        if (!unit || indent.length < unit.length) unit = indent;
+    }
+    return unit || "    ";
+}
+
+/**
+ * Edits indenting every line of a node after its first one, except inside
+ * template literals where the whitespace is part of the string
+ */
+function getIndentEdits(ts, sourceFile, node, indent) {
+    const text = sourceFile.text;
+    const templates = [];
+    const visit = (child) => {
+        if (ts.isNoSubstitutionTemplateLiteral(child) || ts.isTemplateExpression(child)) {
+            templates.push(child);
+        } else {
+            ts.forEachChild(child, visit);
+        }
+    };
+    visit(node);
+
+    const edits = [];
+    for (let index = text.indexOf("\n", node.getStart(sourceFile)); index !== -1 && index < node.end; ) {
+        const lineStart = index + 1;
+        const isInTemplate = templates.some(
+            (template) => lineStart > template.getStart(sourceFile) && lineStart < template.end
+        );
+        if (!isInTemplate && !/[\r\n]/.test(text[lineStart])) {
+            edits.push({ start: lineStart, end: lineStart, text: indent });
+        }
+        index = text.indexOf("\n", lineStart);
+    }
+    return edits;
+}
+
+/**
+ * Edits inserting a statement (`const tr = useTr();`) at the top of a
+ * function. Arrow functions returning an expression get a block body around
+ * it, with the expression indented one more level (insertions only, so edits
+ * inside the expression still apply).
+ */
+function getDeclarationEdits(ts, sourceFile, fn, statement) {
+    const text = sourceFile.text;
+    const { body } = fn;
+    const unit = getIndentUnit(text);
+
+    if (ts.isBlock(body)) {
+        const [first] = body.statements;
+        const indent = first
+            ? getIndent(text, first.getStart(sourceFile))
+            : getIndent(text, fn.getStart(sourceFile)) + unit;
+        const start = body.getStart(sourceFile) + 1;
+        return [{ start, end: start, text: `\n${indent}${statement}` }];
+    }
+
+    const outer = getIndent(text, fn.getStart(sourceFile));
+    const indent = outer + unit;
+    const start = body.getStart(sourceFile);
+    return [
+        { start, end: start, text: `{\n${indent}${statement}\n${indent}return ` },
+        ...getIndentEdits(ts, sourceFile, body, unit),
+        { start: body.end, end: body.end, text: `;\n${outer}}` },
+    ];
+}
+
+/**
+ * Edits declaring tr in a loader or action: `const tr = getServerT(request);`,
+ * with `request` added to its parameters if it doesn't take it yet. Returns
+ * null for parameters it can't add to.
+ */
+function getServerEdits(ts, sourceFile, fn) {
+    const [parameter] = fn.parameters;
+    const edits = [];
+    let request = "request";
+
+    if (!parameter) {
+        const isTypeScript = /\.tsx?$/.test(sourceFile.fileName);
+        const text = isTypeScript ? "{ request }: { request: Request }" : "{ request }";
+        edits.push({ start: fn.parameters.pos, end: fn.parameters.pos, text });
+    } else if (ts.isIdentifier(parameter.name)) {
+        request = `${parameter.name.text}.request`;
+    } else if (ts.isObjectBindingPattern(parameter.name)) {
+        const { elements } = parameter.name;
+        const existing = elements.find(
+            (element) => (element.propertyName || element.name).getText(sourceFile) === "request"
+        );
+        if (existing && ts.isIdentifier(existing.name)) {
+            request = existing.name.text;
+        } else if (elements.length > 0) {
+            const start = elements[0].getStart(sourceFile);
+            edits.push({ start, end: start, text: "request, " });
+        } else {
+            const pattern = parameter.name;
+            edits.push({ start: pattern.getStart(sourceFile), end: pattern.end, text: "{ request }" });
+        }
+    } else {
+        return null;
+    }
+
+    return [...edits, ...getDeclarationEdits(ts, sourceFile, fn, `const tr = ${SERVER_FUNCTION}(${request});`)];
+}
+
+/**
+ * Edits making a class component read tr from TrContext:
+ * `static contextType = TrContext;` (and its type in TypeScript) at the top
+ */
+function getClassContextEdits(ts, sourceFile, classNode) {
+    const text = sourceFile.text;
+    const [first] = classNode.members;
+    const indent = first
+        ? getIndent(text, first.getStart(sourceFile))
+        : getIndent(text, classNode.getStart(sourceFile)) + getIndentUnit(text);
+    const lines = [`static contextType = ${CLASS_CONTEXT};`];
+    if (/\.tsx?$/.test(sourceFile.fileName)) lines.push(`declare context: ${CLASS_CONTEXT_TYPE};`);
+
+    const start = classNode.members.pos;
+    return [{ start, end: start, text: lines.map((line) => `\n${indent}${line}`).join("") + "\n" }];
+}
+
+/**
+ * Import path of a module (absolute path) relative to a file
+ */
+function getImportPath(modulePath, file) {
+    const fileDir = path.dirname(file);
+    const relativePath = path.relative(fileDir, modulePath);
+    let importPath = relativePath.startsWith(".")
+        ? relativePath
+        : "./" + relativePath;
+    return importPath.replace(/\\/g, "/");
+}
+
+/**
+ * The file's (non type-only) import of a module (absolute path), or
+ * undefined. Also finds aliased imports like "~/contexts/I18nContext".
+ */
+function findImport(ts, file, sourceFile, modulePath) {
+    return sourceFile.statements.find(
+        (statement) =>
+            ts.isImportDeclaration(statement) &&
+            !statement.importClause?.isTypeOnly &&
+            ts.isStringLiteral(statement.moduleSpecifier) &&
+            importsModule(file, statement.moduleSpecifier.text, modulePath)
+    );
+}
+
+/**
+ * Edits adding named imports from a module: into the existing
+ * `import { ... }` of it, or as a new import after the last import (or the
+ * "use client" directive)
+ */
+function getImportEdits(ts, file, sourceFile, modulePath, existing, specifiers) {
+    if (specifiers.length === 0) return [];
+
+    const bindings = existing?.importClause?.namedBindings;
+    if (bindings && ts.isNamedImports(bindings) && bindings.elements.length > 0) {
+        const last = bindings.elements[bindings.elements.length - 1];
+        return [{ start: last.end, end: last.end, text: `, ${specifiers.join(", ")}` }];
+    }
+    if (existing?.importClause?.name && !bindings) {
+        const end = existing.importClause.name.end;
+        return [{ start: end, end, text: `, { ${specifiers.join(", ")} }` }];
+    }
+
+    const line = `import { ${specifiers.join(", ")} } from "${getImportPath(modulePath, file)}";`;
+    const imports = sourceFile.statements.filter((statement) => ts.isImportDeclaration(statement));
+    const directives = [];
+    for (const statement of sourceFile.statements) {
+        if (!ts.isExpressionStatement(statement) || !ts.isStringLiteral(statement.expression)) break;
+        directives.push(statement);
+    }
+
+    const after = imports[imports.length - 1] || directives[directives.length - 1];
+    if (!after) return [{ start: 0, end: 0, text: `${line}\n` }];
+    return [{ start: after.end, end: after.end, text: `\n${line}` }];
+}
+
+/**
+ * Check whether a class already has a static contextType, so it can't read
+ * TrContext
+ */
+function hasContextType(ts, classNode) {
+    return classNode.members.some(
+        (member) =>
+            (ts.isPropertyDeclaration(member) || ts.isGetAccessorDeclaration(member)) &&
+            isStatic(ts, member) &&
+            member.name.getText() === "contextType"
+    );
+}
+
+/**
+ * Add what the tr() calls and <Trans> elements of a file need.
+ * Returns { content, hooks: [component names], serverFunctions: [loader and
+ * action names], classes: [class names], fallbacks: [function names] }
+ */
+export function addTrBindings(ts, config, file, content) {
+    const sourceFile = parseSource(ts, file, content);
+    const components = new Map(); // component function -> name
+    const serverCalls = new Map(); // loader or action -> its tr() calls
+    const methods = new Set(); // class methods reading this.context
+    const fallbackCalls = [];
+    const declaredNames = new Set();
+    let usesTrans = false;
+
+    const visit = (node) => {
+        if (ts.isCallExpression(node) && ts.isIdentifier(node.expression) && node.expression.text === "tr") {
+            if (!isBound(ts, node, "tr")) {
+                const target = getTarget(ts, node);
+                if (target?.kind === "hook") components.set(target.fn, getComponentName(ts, target.fn));
+                else if (target?.kind === "server") serverCalls.set(target.fn, [...(serverCalls.get(target.fn) || []), node]);
+                else if (target?.kind === "class" && !hasContextType(ts, target.fn.parent)) methods.add(target.fn);
+                else fallbackCalls.push(node);
+            }
+        }
+        if ((ts.isJsxOpeningElement(node) || ts.isJsxSelfClosingElement(node)) && node.tagName.getText() === "Trans") {
+            usesTrans = usesTrans || !isBound(ts, node, "Trans");
+        }
+        if (
+            (ts.isVariableDeclaration(node) || ts.isParameter(node) || ts.isBindingElement(node)) &&
+            !ts.isImportDeclaration(node.parent)
+        ) {
+            getBindingNames(ts, node.name).forEach((name) => declaredNames.add(name));
+        }
+        if ((ts.isFunctionDeclaration(node) || ts.isImportSpecifier(node)) && node.name) {
+            declaredNames.add(node.name.text);
+        }
+        ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+
+    const edits = [];
+    const specifiers = [];
+    const isFileBound = (name) => isBound(ts, sourceFile.endOfFileToken, name);
+
+    for (const component of components.keys()) {
+        edits.push(...getDeclarationEdits(ts, sourceFile, component, `const tr = ${HOOK}();`));
+    }
+    if (components.size > 0 && !isFileBound(HOOK)) specifiers.push(HOOK);
+
+    const serverFunctions = [];
+    for (const [fn, calls] of serverCalls) {
+        const serverEdits = getServerEdits(ts, sourceFile, fn);
+        if (serverEdits) {
+            edits.push(...serverEdits);
+            serverFunctions.push(getServerExportName(ts, fn));
+        } else {
+            fallbackCalls.push(...calls);
+        }
+    }
+
+    const classes = new Map(); // class -> name
+    for (const method of methods) {
+        edits.push(...getDeclarationEdits(ts, sourceFile, method, "const tr = this.context;"));
+        classes.set(method.parent, method.parent.name?.text || "class");
+    }
+    for (const classNode of classes.keys()) {
+        edits.push(...getClassContextEdits(ts, sourceFile, classNode));
+    }
+    if (classes.size > 0) {
+        if (!isFileBound(CLASS_CONTEXT)) specifiers.push(CLASS_CONTEXT);
+        if (/\.tsx?$/.test(file) && !isFileBound(CLASS_CONTEXT_TYPE)) specifiers.push(`type ${CLASS_CONTEXT_TYPE}`);
+    }
+
+    const existing = findImport(ts, file, sourceFile, config.i18nModule);
+    if (fallbackCalls.length > 0) {
+        // The t the file already imports (maybe as an alias), otherwise an alias if t is taken
+        const bindings = existing?.importClause?.namedBindings;
+        const imported =
+            bindings && ts.isNamedImports(bindings)
+                ? bindings.elements.find((element) => (element.propertyName || element.name).text === FALLBACK)
+                : undefined;
+        const fallbackName =
+            imported?.name.text || (declaredNames.has(FALLBACK) ? FALLBACK_ALIAS : FALLBACK);
+        if (!imported) {
+            specifiers.push(fallbackName === FALLBACK ? FALLBACK : `${FALLBACK} as ${fallbackName}`);
+        }
+        for (const call of fallbackCalls) {
+            edits.push({ start: call.expression.getStart(sourceFile), end: call.expression.end, text: fallbackName });
+        }
+    }
+
+    // Inserted in reverse, so a new getServerT import ends up below the other one
+    if (serverFunctions.length > 0 && !isFileBound(SERVER_FUNCTION)) {
+        const serverImport = findImport(ts, file, sourceFile, config.i18nServerModule);
+        edits.push(...getImportEdits(ts, file, sourceFile, config.i18nServerModule, serverImport, [SERVER_FUNCTION]));
+    }
+    if (usesTrans) specifiers.push("Trans");
+    edits.push(...getImportEdits(ts, file, sourceFile, config.i18nModule, existing, specifiers));
+
+    // Replacements before insertions at the same offset, so both apply
+    for (const edit of edits.sort((a, b) => b.start - a.start || b.end - a.end)) {
+        content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+    }
+
+    return {
+        content,
+        hooks: [...components.values()],
+        serverFunctions,
+        classes: [...classes.values()],
+        fallbacks: [...new Set(fallbackCalls.map((call) => getFunctionLabel(ts, call)))],
+    };
+}
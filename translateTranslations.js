@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * translateTranslations script - Fills toTranslate.json using an AI provider
+ *
+ * Usage:
+ *   npm run translate-translations
+ *   npm run translate-translations -- --provider mock
+ *   npm run translate-translations -- --only de,fr --batch-size 20
+ *
+ * Runs between updateTranslations.js and mergeTranslations.js. This script:
+ * 1. Reads toTranslate.json and collects the entries that are still empty
+ * 2. Sends them per locale, in batches, to the configured provider
+ *    (config.translate.provider, see translationProviders.js), with the
+ *    glossary terms that apply to each batch
+ * 3. Writes toTranslate.json after every batch, so an interrupted run
+ *    resumes where it stopped when started again
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseKey } from "./extractTrKeys.js";
+import { getRelevantGlossary, loadGlossary } from "./glossary.js";
+import { getArg, loadConfig } from "./i18nConfig.js";
+import { getLocaleFilePath, loadLocaleFile } from "./localeFiles.js";
+import { buildPrompt, createProvider } from "./translationProviders.js";
+import {
+    getPluralCategories,
+    isMissingValue,
+    isPluralValue,
+    normalizeValue,
+} from "./translationValues.js";
+
+const config = await loadConfig();
+const { projectRoot, translationsDir } = config;
+const toTranslatePath = path.join(translationsDir, "toTranslate.json");
+
+const translateConfig = { ...config.translate };
+if (getArg("--provider")) translateConfig.provider = getArg("--provider");
+if (getArg("--batch-size")) translateConfig.batchSize = Number(getArg("--batch-size"));
+// --only de,fr limits the run to some of config.locales
+const onlyLocales = getArg("--only")
+    ?.split(",")
+    .map((locale) => locale.trim())
+    .filter(Boolean);
+
+/**
+ * Load the canonical (English) translations used as the source text
+ */
+function loadCanonicalTranslations() {
+    try {
+        return loadLocaleFile(config, config.canonicalLocale);
+    } catch (error) {
+        const fileName = path.basename(getLocaleFilePath(config, config.canonicalLocale));
+        throw new Error(`Could not load ${fileName}: ${error}`);
+    }
+}
+
+/**
+ * Write toTranslate.json atomically so an interrupted run never corrupts it
+ */
+function saveToTranslate(data) {
+    const tempPath = `${toTranslatePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + "\n");
+    fs.renameSync(tempPath, toTranslatePath);
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+async function withRetries(retries, action) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await action();
+        } catch (error) {
+            if (attempt >= retries) throw error;
+            const delay = 1000 * 2 ** attempt;
+            console.warn(`   ⚠️  ${error.message} - retrying in ${delay / 1000}s`);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Main script logic
+ */
+async function main() {
+    console.log("🤖 Translating missing strings...\n");
+
+    if (!fs.existsSync(toTranslatePath)) {
+        console.log("❌ No toTranslate.json found. Run updateTranslations first.");
+        process.exit(1);
+    }
+
+    const toTranslateData = JSON.parse(fs.readFileSync(toTranslatePath, "utf-8"));
+    const canonicalTranslations = loadCanonicalTranslations();
+    const keyMeta = toTranslateData._meta || {};
+    const glossary = loadGlossary(config);
+
+    let provider;
+    try {
+        provider = await createProvider(translateConfig, projectRoot);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    console.log(`🔌 Provider: ${provider.name}`);
+
+    let totalTranslated = 0;
+    let failedLocales = 0;
+
+    for (const [locale, entries] of Object.entries(toTranslateData)) {
+        // Sections starting with "_" (like _meta) are guidance for translators, not locales
+        if (locale.startsWith("_")) continue;
+        if (!config.locales.includes(locale)) continue;
+        if (onlyLocales?.length && !onlyLocales.includes(locale)) continue;
+
+        // Resume: only entries that are still empty are sent again
+        const pending = Object.entries(entries)
+            .filter(([key, value]) =>
+                isMissingValue(value, locale, keyMeta[key]?.plural || isPluralValue(value))
+            )
+            .map(([key, value]) => {
+                const plural = keyMeta[key]?.plural || isPluralValue(value);
+                return {
+                    key,
+                    source: canonicalTranslations[key] ?? parseKey(key).text,
+                    context: keyMeta[key]?.context || parseKey(key).context,
+                    plural,
+                    categories: plural ? getPluralCategories(locale) : undefined,
+                    usages: keyMeta[key]?.usages,
+                    // Set when the English text changed after the last translation
+                    previous: toTranslateData._stale?.[locale]?.[key]?.previous,
+                };
+            });
+
+        if (pending.length === 0) {
+            console.log(`✅ ${locale}: nothing left to translate`);
+            continue;
+        }
+
+        const batches = chunk(pending, translateConfig.batchSize);
+        console.log(`\n🌍 ${locale}: ${pending.length} strings in ${batches.length} batches`);
+
+        try {
+            for (const [index, batch] of batches.entries()) {
+                // Only the glossary entries that occur in this batch
+                const relevant = getRelevantGlossary(glossary, {
+                    [locale]: batch.flatMap((entry) =>
+                        entry.plural ? Object.values(entry.source) : [entry.source]
+                    ),
+                });
+                const batchGlossary = {
+                    doNotTranslate: relevant.doNotTranslate,
+                    terms: relevant.terms[locale] || {},
+                };
+
+                const result = await withRetries(translateConfig.retries, () =>
+                    provider.translateBatch({
+                        locale,
+                        entries: batch,
+                        glossary: batchGlossary,
+                        prompt: buildPrompt(locale, batch, batchGlossary),
+                    })
+                );
+
+                let translatedCount = 0;
+                for (const entry of batch) {
+                    const value = result[entry.key];
+                    if (value === undefined) continue;
+
+                    const normalized = normalizeValue(value, locale, entry.plural);
+                    if (!isMissingValue(normalized, locale, entry.plural)) {
+                        toTranslateData[locale][entry.key] = normalized;
+                        translatedCount++;
+                    }
+                }
+
+                // Save after every batch so progress survives interruptions
+                saveToTranslate(toTranslateData);
+                totalTranslated += translatedCount;
+                console.log(
+                    `   batch ${index + 1}/${batches.length}: ${translatedCount}/${batch.length} translated`
+                );
+            }
+        } catch (error) {
+            failedLocales++;
+            console.error(`❌ Error translating '${locale}':`, error.message);
+        }
+    }
+
+    console.log(`\n🎉 Translated ${totalTranslated} strings`);
+
+    if (failedLocales > 0) {
+        console.error(`⚠️  ${failedLocales} locales failed. Run again to resume.`);
+        process.exit(1);
+    }
+
+    console.log(`💡 Review toTranslate.json, then run mergeTranslations.js`);
+}
+
+// Run the script
+main();
@@ -0,0 +1,137 @@
+/**
+ * translationChecks - Integrity checks of a translation against its English source
+ *
+ * Catches the mistakes AI and human translators make that the runtime can't
+ * detect: dropped, renamed or translated {placeholders}, lost, altered or
+ * misnested HTML/JSX-like tags (<Trans> builds elements from them), and
+ * changed leading/trailing whitespace or final punctuation.
+ */
+
+import { getArgumentNames, parseMessage } from "./messageFormat.js";
+
+// Final punctuation that counts as "the same" across scripts
+const PUNCTUATION_CLASSES = [
+    ["ellipsis", /(?:…|\.\.\.)$/],
+    ["period", /[.。।۔]$/],
+    ["question mark", /[?？؟]$/],
+    ["exclamation mark", /[!！]$/],
+    ["colon", /[:：]$/],
+    ["semicolon", /[;；؛]$/],
+    ["comma", /[,，、،]$/],
+];
+
+/**
+ * Names of the {placeholders} in a message
+ */
+export function getPlaceholders(text, messageFormat = "simple") {
+    if (messageFormat === "icu") {
+        try {
+            return getArgumentNames(parseMessage(text)).sort();
+        } catch (error) {
+            // Syntax errors are reported by the ICU check, fall back to a plain scan
+        }
+    }
+
+    const names = new Set();
+    for (const match of text.matchAll(/\{\s*([A-Za-z_$][\w$.-]*)\s*[,}]/g)) {
+        names.add(match[1]);
+    }
+    return [...names].sort();
+}
+
+/**
+ * HTML/JSX-like tags in a message, normalized to <name>, </name> or <name/>
+ */
+export function getTags(text) {
+    const tags = [];
+    for (const match of text.matchAll(/<(\/?)([A-Za-z][\w.-]*)(?:\s[^<>]*?)?\s*(\/?)>/g)) {
+        tags.push(match[1] ? `</${match[2]}>` : match[3] ? `<${match[2]}/>` : `<${match[2]}>`);
+    }
+    return tags;
+}
+
+/**
+ * Check that every opening tag is closed, innermost first: <b><i></i></b>
+ */
+function hasBalancedTags(tags) {
+    const open = [];
+    for (const tag of tags) {
+        if (tag.endsWith("/>")) continue;
+        if (!tag.startsWith("</")) {
+            open.push(tag.slice(1, -1));
+        } else if (open.pop() !== tag.slice(2, -1)) {
+            return false;
+        }
+    }
+    return open.length === 0;
+}
+
+function getFinalPunctuation(text) {
+    const trimmed = text.trimEnd();
+    const found = PUNCTUATION_CLASSES.find(([, pattern]) => pattern.test(trimmed));
+    return found ? found[0] : null;
+}
+
+function formatList(items) {
+    return items.length > 0 ? items.join(" ") : "none";
+}
+
+/**
+ * Compare a translation with its English source.
+ * Returns a list of human-readable issues (empty when the translation is fine).
+ *
+ * Options:
+ *   messageFormat  "simple" or "icu", how placeholders are found
+ *   optional       placeholder names the translation may leave out
+ *                  (e.g. "count" in the "one" form of a plural)
+ */
+export function checkTranslation(source, translation, options = {}) {
+    const { messageFormat = "simple", optional = [] } = options;
+    const issues = [];
+
+    const expected = getPlaceholders(source, messageFormat);
+    const actual = getPlaceholders(translation, messageFormat);
+    const missing = expected.filter(
+        (name) => !actual.includes(name) && !optional.includes(name)
+    );
+    const unexpected = actual.filter((name) => !expected.includes(name));
+
+    if (missing.length > 0) {
+        issues.push(`missing placeholder ${missing.map((name) => `{${name}}`).join(", ")}`);
+    }
+    if (unexpected.length > 0) {
+        issues.push(`unknown placeholder ${unexpected.map((name) => `{${name}}`).join(", ")}`);
+    }
+
+    // Tags may move around in the sentence, but the same set must be there
+    const sourceTags = getTags(source);
+    const translationTags = getTags(translation);
+    const sortedSource = [...sourceTags].sort();
+    const sortedTranslation = [...translationTags].sort();
+    if (sortedSource.join(" ") !== sortedTranslation.join(" ")) {
+        issues.push(
+            `tags differ: expected ${formatList(sortedSource)}, got ${formatList(sortedTranslation)}`
+        );
+    } else if (hasBalancedTags(sourceTags) && !hasBalancedTags(translationTags)) {
+        issues.push(`tags are not closed in order: ${formatList(translationTags)}`);
+    }
+
+    const leading = (text) => text.match(/^\s*/)[0];
+    const trailing = (text) => text.match(/\s*$/)[0];
+    if (leading(source) !== leading(translation)) {
+        issues.push("leading whitespace differs");
+    }
+    if (trailing(source) !== trailing(translation)) {
+        issues.push("trailing whitespace differs");
+    }
+
+    const sourcePunctuation = getFinalPunctuation(source);
+    const translationPunctuation = getFinalPunctuation(translation);
+    if (sourcePunctuation !== translationPunctuation) {
+        issues.push(
+            `final punctuation differs: expected ${sourcePunctuation || "none"}, got ${translationPunctuation || "none"}`
+        );
+    }
+
+    return issues;
+}
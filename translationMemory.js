@@ -0,0 +1,130 @@
+/**
+ * translationMemory - Keeps every translation ever made, keyed by its English source
+ *
+ * Stored in <translationsDir>/_memory.json:
+ *
+ *   { "de": { "Save changes": "Änderungen speichern", ... }, ... }
+ *
+ * Sources with a context are stored like the locale file keys
+ * ("Open\u0004store status"), so "Open" the status and "Open" the verb keep
+ * their own translations.
+ *
+ * updateTranslations.js adds every current translation before removed keys
+ * are dropped, so rewording tr("Save changes") to tr("Save your changes")
+ * can reuse the old translation as an exact or fuzzy suggestion.
+ */
+
+import fs from "fs";
+import path from "path";
+import { makeKey, parseKey } from "./extractTrKeys.js";
+import { isMissingValue, isPluralValue } from "./translationValues.js";
+
+function getMemoryPath(config) {
+    return path.join(config.translationsDir, "_memory.json");
+}
+
+/**
+ * Load the translation memory, or an empty one
+ */
+export function loadMemory(config) {
+    try {
+        return JSON.parse(fs.readFileSync(getMemoryPath(config), "utf-8"));
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save the translation memory with sorted locales and sources
+ */
+export function saveMemory(config, memory) {
+    const sorted = {};
+    for (const locale of Object.keys(memory).sort()) {
+        sorted[locale] = {};
+        for (const source of Object.keys(memory[locale]).sort()) {
+            sorted[locale][source] = memory[locale][source];
+        }
+    }
+
+    fs.mkdirSync(config.translationsDir, { recursive: true });
+    fs.writeFileSync(getMemoryPath(config), JSON.stringify(sorted, null, 2) + "\n");
+}
+
+/**
+ * Source a translation memory entry is keyed by: the English text ("other"
+ * form for plurals) and the context of the key
+ */
+export function getMemorySource(canonicalValue, key) {
+    const text = isPluralValue(canonicalValue) ? canonicalValue.other || "" : canonicalValue || "";
+    return text && makeKey(text, parseKey(key).context);
+}
+
+/**
+ * Add a translation to the memory (empty translations are ignored)
+ */
+export function remember(memory, locale, source, translation) {
+    if (!source || isMissingValue(translation, locale)) return;
+    memory[locale] = memory[locale] || {};
+    memory[locale][source] = translation;
+}
+
+/**
+ * Levenshtein distance, with a cutoff to skip hopeless pairs early
+ */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Find the best memory match for a source (see getMemorySource) in a locale.
+ * Returns { value, from, score, exact } or null. Only translations of the same
+ * shape (plural forms vs plain string) are suggested, and only the same text
+ * with the same context is exact; other contexts are fuzzy matches.
+ */
+export function findSuggestion(memory, locale, source, plural, threshold) {
+    const entries = memory[locale];
+    if (!entries || !source) return null;
+
+    const sameShape = (value) => isPluralValue(value) === plural;
+
+    if (entries[source] !== undefined && sameShape(entries[source])) {
+        return { value: entries[source], from: source, score: 1, exact: true };
+    }
+
+    let best = null;
+    const normalizedSource = parseKey(source).text.toLowerCase();
+
+    for (const [candidate, value] of Object.entries(entries)) {
+        if (!sameShape(value) || candidate === source) continue;
+
+        // Texts are compared without their context
+        const candidateText = parseKey(candidate).text;
+        const longest = Math.max(candidateText.length, normalizedSource.length);
+        const maxDistance = Math.floor(longest * (1 - threshold));
+        const distance = editDistance(normalizedSource, candidateText.toLowerCase(), maxDistance);
+        const score = 1 - distance / longest;
+
+        if (score >= threshold && (!best || score > best.score)) {
+            best = { value, from: candidate, score: Math.round(score * 100) / 100, exact: false };
+        }
+    }
+
+    return best;
+}
@@ -0,0 +1,267 @@
+/**
+ * translationProviders - Adapters the translate step uses to call an AI
+ *
+ * A provider is an object with a name and one method:
+ *
+ *   {
+ *       name: "my-provider",
+ *       async translateBatch({ locale, entries, glossary, prompt }) {
+ *           // entries: [{ key, source, context, plural, categories, usages, previous }]
+ *           // glossary: { doNotTranslate: [...], terms: { "Pro plan": "Pro-Tarif" } }
+ *           // return { [key]: "translation" } or, for plural entries,
+ *           //        { [key]: { one: "...", other: "..." } }
+ *       },
+ *   }
+ *
+ * Built in (config.translate.provider):
+ *   "openai"     any OpenAI-compatible /chat/completions endpoint (baseUrl, model, apiKeyEnv)
+ *   "anthropic"  the Anthropic Messages API (model, apiKeyEnv)
+ *   "command"    a local command that reads the batch as JSON on stdin and
+ *                writes the translations as JSON on stdout (command)
+ *   "mock"       offline stub that returns "[locale] source", for tests and CI
+ *
+ * Anything else is treated as the path of a module whose default export is a
+ * provider, or a function (translateConfig) => provider.
+ */
+
+import { spawn } from "child_process";
+import path from "path";
+import { pathToFileURL } from "url";
+import { getLocaleInfo } from "./localeMetadata.js";
+
+const DEFAULTS = {
+    openai: {
+        baseUrl: "https://api.openai.com/v1",
+        model: "gpt-4o-mini",
+        apiKeyEnv: "OPENAI_API_KEY",
+    },
+    anthropic: {
+        baseUrl: "https://api.anthropic.com/v1",
+        model: "claude-3-5-haiku-latest",
+        apiKeyEnv: "ANTHROPIC_API_KEY",
+    },
+};
+
+/**
+ * Build the instructions and payload sent to a chat model for one batch.
+ * `glossary` is { doNotTranslate: [...], terms: { "Pro plan": "Pro-Tarif" } }.
+ */
+export function buildPrompt(locale, entries, glossary = { doNotTranslate: [], terms: {} }) {
+    const glossaryRules = [];
+    if (glossary.doNotTranslate.length > 0) {
+        glossaryRules.push(
+            `- Never translate or transliterate these terms: ${glossary.doNotTranslate.join(", ")}.`
+        );
+    }
+    for (const [term, translation] of Object.entries(glossary.terms)) {
+        glossaryRules.push(`- Always translate "${term}" as "${translation}".`);
+    }
+
+    const system = [
+        `You are a professional software translator. Translate UI strings from English into ${getLocaleInfo(locale).name} (locale "${locale}").`,
+        "Rules:",
+        "- Keep every {placeholder}, ICU argument and HTML/JSX-like tag exactly as written, do not translate them.",
+        "- Keep leading/trailing whitespace and match the final punctuation of the source.",
+        "- Use the context and usages, when given, to pick the right meaning.",
+        "- For entries with plural categories, return an object with one string per category.",
+        "- Entries with a previousTranslation had their English source changed: update that translation to match the new source.",
+        ...glossaryRules,
+        '- Reply with a single JSON object mapping each "key" to its translation and nothing else.',
+    ].join("\n");
+
+    const payload = entries.map((entry) => {
+        const item = { key: entry.key, source: entry.source };
+        if (entry.context) item.context = entry.context;
+        if (entry.plural) item.pluralCategories = entry.categories;
+        if (entry.previous) item.previousTranslation = entry.previous;
+        if (entry.usages) item.usages = entry.usages.map((usage) => `${usage.file}:${usage.line}`);
+        return item;
+    });
+
+    return { system, user: JSON.stringify(payload, null, 2) };
+}
+
+/**
+ * Parse the JSON object out of a model reply (tolerates ```json fences)
+ */
+export function parseJsonReply(text) {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start === -1 || end === -1) {
+        throw new Error(`Provider reply did not contain a JSON object: ${text.slice(0, 200)}`);
+    }
+    return JSON.parse(text.slice(start, end + 1));
+}
+
+function getApiKey(settings) {
+    const apiKey = process.env[settings.apiKeyEnv];
+    if (!apiKey) {
+        throw new Error(`Set ${settings.apiKeyEnv} to use the ${settings.provider} provider`);
+    }
+    return apiKey;
+}
+
+async function postJson(url, headers, body) {
+    const response = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        throw new Error(`${url} responded ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+}
+
+function createOpenAiProvider(settings) {
+    const apiKey = getApiKey(settings);
+
+    return {
+        name: "openai",
+        async translateBatch({ prompt }) {
+            const data = await postJson(
+                `${settings.baseUrl.replace(/\/$/, "")}/chat/completions`,
+                { authorization: `Bearer ${apiKey}` },
+                {
+                    model: settings.model,
+                    messages: [
+                        { role: "system", content: prompt.system },
+                        { role: "user", content: prompt.user },
+                    ],
+                    temperature: 0,
+                }
+            );
+            return parseJsonReply(data.choices[0].message.content);
+        },
+    };
+}
+
+function createAnthropicProvider(settings) {
+    const apiKey = getApiKey(settings);
+
+    return {
+        name: "anthropic",
+        async translateBatch({ prompt }) {
+            const data = await postJson(
+                `${settings.baseUrl.replace(/\/$/, "")}/messages`,
+                {
+                    "x-api-key": apiKey,
+                    "anthropic-version": "2023-06-01",
+                },
+                {
+                    model: settings.model,
+                    max_tokens: 8192,
+                    system: prompt.system,
+                    messages: [{ role: "user", content: prompt.user }],
+                }
+            );
+            const text = data.content
+                .filter((block) => block.type === "text")
+                .map((block) => block.text)
+                .join("");
+            return parseJsonReply(text);
+        },
+    };
+}
+
+function createCommandProvider(settings) {
+    if (!settings.command) {
+        throw new Error(`The command provider needs translate.command in i18n.config`);
+    }
+
+    return {
+        name: "command",
+        translateBatch(batch) {
+            return new Promise((resolve, reject) => {
+                const child = spawn(settings.command, {
+                    shell: true,
+                    stdio: ["pipe", "pipe", "inherit"],
+                });
+                let output = "";
+
+                child.stdout.on("data", (chunk) => {
+                    output += chunk;
+                });
+                child.on("error", reject);
+                child.on("close", (code) => {
+                    if (code !== 0) {
+                        reject(new Error(`"${settings.command}" exited with code ${code}`));
+                        return;
+                    }
+                    try {
+                        resolve(parseJsonReply(output));
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+
+                child.stdin.end(JSON.stringify(batch));
+            });
+        },
+    };
+}
+
+/**
+ * Offline stub: "[de] Save changes". Keeps whitespace, placeholders and tags
+ * intact so the output passes mergeTranslations.js checks.
+ */
+function createMockProvider() {
+    const mock = (locale, source) => {
+        const [, leading, text, trailing] = source.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return `${leading}[${locale}] ${text}${trailing}`;
+    };
+
+    return {
+        name: "mock",
+        async translateBatch({ locale, entries }) {
+            const result = {};
+            for (const entry of entries) {
+                if (entry.plural) {
+                    result[entry.key] = {};
+                    for (const category of entry.categories) {
+                        const form = entry.source[category] || entry.source.other;
+                        result[entry.key][category] = mock(locale, form);
+                    }
+                } else {
+                    result[entry.key] = mock(locale, entry.source);
+                }
+            }
+            return result;
+        },
+    };
+}
+
+/**
+ * Create the provider named in config.translate.provider
+ */
+export async function createProvider(translateConfig, projectRoot) {
+    const providerName = translateConfig.provider;
+    const settings = {
+        ...(DEFAULTS[providerName] || {}),
+        ...translateConfig,
+    };
+
+    switch (providerName) {
+        case "openai":
+            return createOpenAiProvider(settings);
+        case "anthropic":
+            return createAnthropicProvider(settings);
+        case "command":
+            return createCommandProvider(settings);
+        case "mock":
+            return createMockProvider();
+        default: {
+            const modulePath = path.resolve(projectRoot, providerName);
+            const module = await import(pathToFileURL(modulePath).href);
+            const exported = module.default || module;
+            const provider =
+                typeof exported === "function" ? await exported(settings) : exported;
+
+            if (!provider || typeof provider.translateBatch !== "function") {
+                throw new Error(`${modulePath} does not export a provider with translateBatch()`);
+            }
+            return provider;
+        }
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * translationValues - Helpers for the two shapes a translation can take
+ *
+ *   "Save changes"                              plain string
+ *   { "one": "{count} item", "other": "..." }   plural forms keyed by CLDR category
+ *
+ * Plural keys are tr() calls with a `count` param: tr("{count} items", { count }).
+ * Each locale needs the CLDR plural categories its language uses, which come
+ * from Intl.PluralRules (e.g. en: one/other, pl: one/few/many/other).
+ */
+
+// CLDR order, used so plural objects are always written the same way
+export const CATEGORY_ORDER = ["zero", "one", "two", "few", "many", "other"];
+
+/**
+ * The CLDR plural categories a locale needs, in CLDR order
+ */
+export function getPluralCategories(locale) {
+    let categories;
+    try {
+        categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories;
+    } catch (error) {
+        categories = ["one", "other"];
+    }
+    return CATEGORY_ORDER.filter((category) => categories.includes(category));
+}
+
+/**
+ * Check whether a value holds plural forms instead of a plain string
+ */
+export function isPluralValue(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isBlank(value) {
+    return typeof value !== "string" || value.trim() === "";
+}
+
+/**
+ * Plural categories of a locale that are missing or empty in a value
+ */
+export function getMissingPluralCategories(value, locale) {
+    const forms = isPluralValue(value) ? value : {};
+    return getPluralCategories(locale).filter((category) => isBlank(forms[category]));
+}
+
+/**
+ * Check whether a translation still needs to be filled in
+ */
+export function isMissingValue(value, locale, plural = isPluralValue(value)) {
+    if (plural) {
+        return getMissingPluralCategories(value, locale).length > 0;
+    }
+    return isBlank(value);
+}
+
+/**
+ * Normalize a value to the shape a key needs in a locale.
+ * Plural keys get every required category (existing forms kept, others set to
+ * `fill`); plain keys get a string (the "other" form of a former plural).
+ */
+export function normalizeValue(value, locale, plural, fill = "") {
+    if (!plural) {
+        if (isPluralValue(value)) return value.other || "";
+        return typeof value === "string" ? value : fill;
+    }
+
+    // A plain string becomes the "other" form when a key turns plural
+    const forms = isPluralValue(value) ? value : { other: value };
+    const normalized = {};
+    for (const category of getPluralCategories(locale)) {
+        normalized[category] = isBlank(forms[category]) ? fill : forms[category];
+    }
+    return normalized;
+}
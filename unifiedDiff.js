@@ -0,0 +1,102 @@
+/**
+ * unifiedDiff - Unified patches of changed files, for `git apply` or `patch -p1`
+ *
+ * Line diff (longest common subsequence) between the unchanged start and end
+ * of the files, which is all it needs for the small edits the scripts make.
+ */
+
+const CONTEXT_LINES = 3;
+
+// Lines with their line break, so a missing final newline shows up as a change
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Line operations turning `before` into `after`: [{ op: " " | "-" | "+", line }]
+ */
+function diffLines(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] =
+                a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = before.slice(0, start).map((line) => ({ op: " ", line }));
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ op: " ", line: a[i++] });
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            ops.push({ op: "-", line: a[i++] });
+        } else {
+            ops.push({ op: "+", line: b[j++] });
+        }
+    }
+    return ops.concat(before.slice(endBefore).map((line) => ({ op: " ", line })));
+}
+
+function formatLine({ op, line }) {
+    return line.endsWith("\n") ? `${op}${line}` : `${op}${line}\n\\ No newline at end of file\n`;
+}
+
+/**
+ * Unified diff of one file ("" if nothing changed). `fileName` is the path
+ * relative to the project root.
+ */
+export function createUnifiedDiff(fileName, before, after) {
+    if (before === after) return "";
+
+    const ops = diffLines(splitLines(before), splitLines(after));
+    const changed = ops.flatMap((entry, index) => (entry.op === " " ? [] : [index]));
+
+    // Changes closer than twice the context share a hunk
+    const ranges = [];
+    for (const index of changed) {
+        const last = ranges[ranges.length - 1];
+        if (last && index - last.end <= CONTEXT_LINES * 2) {
+            last.end = index;
+        } else {
+            ranges.push({ start: index, end: index });
+        }
+    }
+
+    let patch = `--- a/${fileName}\n+++ b/${fileName}\n`;
+    for (const range of ranges) {
+        const from = Math.max(0, range.start - CONTEXT_LINES);
+        const to = Math.min(ops.length - 1, range.end + CONTEXT_LINES);
+        const hunk = ops.slice(from, to + 1);
+
+        // Line numbers where the hunk starts in each file
+        let oldLine = 1;
+        let newLine = 1;
+        for (const { op } of ops.slice(0, from)) {
+            if (op !== "+") oldLine++;
+            if (op !== "-") newLine++;
+        }
+        const oldCount = hunk.filter(({ op }) => op !== "+").length;
+        const newCount = hunk.filter(({ op }) => op !== "-").length;
+        // An empty side is numbered by the line before it
+        if (oldCount === 0) oldLine--;
+        if (newCount === 0) newLine--;
+
+        patch += `@@ -${oldLine},${oldCount} +${newLine},${newCount} @@\n`;
+        patch += hunk.map(formatLine).join("");
+    }
+    return patch;
+}
@@ -4,238 +4,379 @@
  *
  * Usage:
  *   npm run update-translations
+ *   npm run update-translations -- --check [--format text|json|sarif|junit]
+ *   npm run update-translations -- --restore "<key>"
+ *   npm run update-translations -- --strict-fallbacks
+ *
+ * --check writes nothing (with --restore, the key is only restored for the
+ * check). It prints a report of new keys, orphaned keys, stale and missing
+ * translations and exits with code 1 if there are any (for CI).
+ *
+ * --restore brings an archived key back into every locale file and adds it
+ * to the dynamic-key allowlist, so the next run doesn't orphan it again.
  *
  * This script:
- * 1. Scans all app files recursively for tr("...") calls
- * 2. Compares with existing en.json (canonical file)
- * 3. Removes orphaned keys from all translation files
- * 4. Adds new keys to all translation files (empty for non-en, identity for en)
- * 5. Generates app/translations/toTranslate.json for AI translation
+ * 1. Parses all source files for tr("...") calls (see extractTrKeys.js, i18nConfig.js)
+ * 2. Adds keys from the dynamic-key allowlist (see orphans.js) and the keys
+ *    recorded at runtime (see runtimeKeys.js), and compares with existing
+ *    en.json (canonical file)
+ * 3. Moves orphaned keys from all translation files to _archive.json, where
+ *    they are kept for config.orphans.graceDays days / graceRuns runs (their
+ *    translations also stay in the translation memory, _memory.json)
+ * 4. Adds new keys to all translation files (empty for non-en, identity for en,
+ *    archived translations for keys that came back).
+ *    Missing translations that a fallback locale covers (pt for pt-BR, see
+ *    config.fallbacks) are not queued unless --strict-fallbacks or
+ *    config.strictFallbacks is set.
+ *    Plural keys (tr("{count} items", { count })) get one form per CLDR plural
+ *    category of each locale.
+ *    The pseudo-locales in config.pseudo.locales (en-XA, ar-XB) are generated
+ *    from the canonical file (see pseudoLocalize.js).
+ * 5. Writes _meta.json with the file/line/column of every key usage, and the
+ *    per-route bundles when config.bundles.enabled (see bundles.js)
+ * 6. Generates toTranslate.json in the translations dir for AI translation
+ *    (the "_meta" section lists each string's context and where it is used,
+ *    "_glossary" the required terms and do-not-translate words that apply).
+ *    Entries with an exact or fuzzy translation memory match are pre-filled
+ *    and listed in "_review".
+ *    Translations made from an older English value (see sourceHashes.js) are
+ *    re-queued and listed in "_stale" with their previous translation.
  */
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-
-// Get directory paths
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const projectRoot = path.resolve(__dirname, "..");
-const appDir = path.join(projectRoot, "app");
-const translationsDir = path.join(appDir, "translations");
-
-// Supported locales (add new ones here)
-const SUPPORTED_LOCALES = [
-    "en", // English
-    "de", // German
-    "fr", // French
-    "es", // Spanish
-    "sv", // Swedish
-    "pt-br", // Portuguese (Brazil)
-    "it", // Italian
-    "nl", // Dutch
-    "ja", // Japanese
-    "ko", // Korean
-    "zh-cn", // Chinese (Simplified)
-    "zh-tw", // Chinese (Traditional)
-    "tr", // Turkish
-    "th", // Thai
-    "pl", // Polish
-    "ar", // Arabic
-    "da", // Danish
-    "fi", // Finnish
-    "id", // Indonesian
-    "ms", // Malay
-];
-const CANONICAL_LOCALE = "en";
-
-/**
- * Extract tr() calls from a file with a simple parser.
- * Only matches string literals for the first argument.
- * Skips keys with newlines or template expressions.
- */
-function extractTrCallsFromFile(filePath) {
-    const content = fs.readFileSync(filePath, "utf-8");
-    const keys = [];
-    const trCallRegex = /\btr\s*\(/g;
-
-    let match;
-    while ((match = trCallRegex.exec(content)) !== null) {
-        let index = match.index + match[0].length;
-
-        // Skip whitespace
-        while (index < content.length && /\s/.test(content[index])) {
-            index += 1;
-        }
+import { assignBundles, writeBundles } from "./bundles.js";
+import { formatReport, REPORT_FORMATS } from "./checkReport.js";
+import { extractTrCallsFromFile, formatKey, parseKey } from "./extractTrKeys.js";
+import { getRelevantGlossary, loadGlossary } from "./glossary.js";
+import {
+    findSourceFiles,
+    getArg,
+    getFallbackChain,
+    hasFlag,
+    loadConfig,
+    loadTypeScript,
+} from "./i18nConfig.js";
+import { getLocaleFilePath, loadLocaleFile, saveLocaleFile } from "./localeFiles.js";
+import {
+    addDynamicKeys,
+    ageArchive,
+    getDynamicKeysPath,
+    loadArchive,
+    loadDynamicKeys,
+    saveArchive,
+} from "./orphans.js";
+import { buildPseudoTranslations } from "./pseudoLocalize.js";
+import { loadRuntimeKeys } from "./runtimeKeys.js";
+import { hashSource, loadSourceHashes, saveSourceHashes } from "./sourceHashes.js";
+import {
+    findSuggestion,
+    getMemorySource,
+    loadMemory,
+    remember,
+    saveMemory,
+} from "./translationMemory.js";
+import { isMissingValue, isPluralValue, normalizeValue } from "./translationValues.js";
+
+const config = await loadConfig();
+const ts = loadTypeScript(config);
+const { projectRoot, translationsDir } = config;
+const SUPPORTED_LOCALES = config.locales;
+const CANONICAL_LOCALE = config.canonicalLocale;
+
+const checkMode = hasFlag("--check");
+const reportFormat = getArg("--format") || "text";
+const restoreKey = getArg("--restore");
+// Queue missing translations even when a fallback locale covers them
+const strictFallbacks = config.strictFallbacks || hasFlag("--strict-fallbacks");
+
+if (checkMode) {
+    // Keep stdout for the report, progress goes to stderr
+    console.log = console.error;
+}
 
-        const quote = content[index];
-        if (!quote || (quote !== '"' && quote !== "'" && quote !== "`")) {
-            continue;
-        }
+// Fail before scanning, not after
+if (!REPORT_FORMATS.includes(reportFormat)) {
+    console.error(`❌ Unknown report format "${reportFormat}" (use ${REPORT_FORMATS.join(", ")})`);
+    process.exit(1);
+}
 
-        index += 1;
-        let value = "";
-        let hasNewline = false;
-        let hasTemplateExpression = false;
-        let escaped = false;
+// Keys --restore allowlists for this run only, because --check writes nothing
+const checkRestoredKeys = [];
 
-        while (index < content.length) {
-            const char = content[index];
+/**
+ * Extract all unique tr() keys from the configured source roots.
+ * Also returns where each key is used and every call whose key could not be
+ * statically resolved.
+ */
+function extractAllTrKeys() {
+    const sourceFiles = findSourceFiles(config);
+    const usages = new Map();
+    const pluralKeys = new Set();
+    const unresolved = [];
 
-            if (escaped) {
-                value += char;
-                escaped = false;
-                index += 1;
-                continue;
-            }
+    console.log(`Scanning ${sourceFiles.length} source files...`);
 
-            if (char === "\\") {
-                escaped = true;
-                index += 1;
-                continue;
-            }
+    for (const filePath of sourceFiles) {
+        const relativePath = path.relative(projectRoot, filePath);
+        const result = extractTrCallsFromFile(ts, filePath, config);
+        const keys = [...new Set(result.calls.map((call) => call.key))];
 
-            if (quote === "`" && char === "$" && content[index + 1] === "{") {
-                hasTemplateExpression = true;
-            }
+        if (keys.length > 0) {
+            console.log(`  ${relativePath}: ${keys.map(formatKey).join(", ")}`);
+        }
 
-            if (char === quote) {
-                break;
+        for (const call of result.calls) {
+            if (call.plural) {
+                pluralKeys.add(call.key);
             }
-
-            if (char === "\n") {
-                hasNewline = true;
+            if (!usages.has(call.key)) {
+                usages.set(call.key, []);
             }
-
-            value += char;
-            index += 1;
+            usages.get(call.key).push({
+                file: relativePath.split(path.sep).join("/"),
+                line: call.line,
+                column: call.column,
+            });
         }
 
-        if (index >= content.length) {
-            continue;
+        for (const call of result.unresolved) {
+            unresolved.push({ file: relativePath, ...call });
         }
+    }
 
-        if (!value || hasNewline || hasTemplateExpression) {
-            continue;
-        }
+    return {
+        keys: [...usages.keys()].sort(), // Keep consistent ordering
+        usages,
+        pluralKeys,
+        unresolved,
+    };
+}
 
-        if (!keys.includes(value)) {
-            keys.push(value);
-        }
+/**
+ * Load existing translation file or return empty object
+ */
+function loadTranslationFile(locale) {
+    try {
+        return loadLocaleFile(config, locale);
+    } catch (error) {
+        const fileName = path.basename(getLocaleFilePath(config, locale));
+        console.warn(`Warning: Could not load ${fileName}, creating new file`);
+        return {};
     }
+}
 
-    return keys;
+/**
+ * Save translation file in the configured format (sorted keys).
+ * `sources` are the canonical values, for formats that carry the source text.
+ */
+function saveTranslationFile(locale, translations, sources) {
+    saveLocaleFile(config, locale, translations, { sources });
 }
 
 /**
- * Recursively find all .ts, .tsx, .js, .jsx files in app/
+ * Translator-facing metadata for a key: its disambiguation context, whether
+ * it has plural forms, and where it is used
  */
-function findSourceFiles(dir) {
-    const files = [];
+function getKeyMeta(key, usages, pluralKeys) {
+    const { context } = parseKey(key);
+    const meta = {};
+    if (context) meta.context = context;
+    if (pluralKeys.has(key)) meta.plural = true;
+    meta.usages = usages.get(key);
+    return meta;
+}
 
-    function scanDirectory(currentDir) {
-        const entries = fs.readdirSync(currentDir);
+/**
+ * Write the key manifest (_meta.json): every key with the file, line and
+ * column of each place it is used
+ */
+function saveKeyManifest(keys, usages, pluralKeys) {
+    const manifest = {};
 
-        for (const entry of entries) {
-            const fullPath = path.join(currentDir, entry);
-            const stat = fs.statSync(fullPath);
+    for (const key of keys) {
+        manifest[key] = getKeyMeta(key, usages, pluralKeys);
+    }
 
-            if (stat.isDirectory()) {
-                // Skip node_modules, build, etc.
-                if (!["node_modules", "build", ".git"].includes(entry)) {
-                    scanDirectory(fullPath);
-                }
-            } else if (stat.isFile()) {
-                // Only include source files
-                if (/\.(ts|tsx|js|jsx)$/.test(entry)) {
-                    files.push(fullPath);
-                }
-            }
+    fs.mkdirSync(translationsDir, { recursive: true });
+    fs.writeFileSync(
+        path.join(translationsDir, "_meta.json"),
+        JSON.stringify(manifest, null, 2) + "\n"
+    );
+}
+
+/**
+ * Line and column of a key in a translation file, for report annotations
+ */
+function findKeyPosition(locale, key) {
+    try {
+        const content = fs.readFileSync(getLocaleFilePath(config, locale), "utf-8");
+        // The quoted key (json, yaml, arb), or its text (po, xliff)
+        const candidates = [JSON.stringify(key), JSON.stringify(parseKey(key).text), parseKey(key).text];
+        const index = candidates
+            .map((candidate) => content.indexOf(candidate))
+            .find((candidateIndex) => candidateIndex !== -1);
+        if (index !== undefined) {
+            const lines = content.slice(0, index).split("\n");
+            return { line: lines.length, column: lines[lines.length - 1].length + 1 };
         }
+    } catch (error) {
+        // Fall through to the top of the file
     }
-
-    scanDirectory(dir);
-    return files;
+    return { line: 1, column: 1 };
 }
 
 /**
- * Extract all unique tr() keys from the app
+ * Build --check findings: new keys at each usage, orphaned keys in the
+ * canonical file, stale and missing translations at the key's first usage
  */
-function extractAllTrKeys() {
-    const sourceFiles = findSourceFiles(appDir);
-    const allKeys = [];
+function buildFindings({ newKeys, removedKeys, missingByKey, staleByKey, usages }) {
+    const findings = [];
+    const canonicalFile = path
+        .relative(projectRoot, getLocaleFilePath(config, CANONICAL_LOCALE))
+        .split(path.sep)
+        .join("/");
+
+    for (const key of newKeys) {
+        for (const usage of usages.get(key)) {
+            findings.push({
+                rule: "new-key",
+                message: `"${formatKey(key)}" is not in the translation files. Run updateTranslations.js.`,
+                ...usage,
+            });
+        }
+    }
 
-    console.log(`Scanning ${sourceFiles.length} source files...`);
+    for (const key of removedKeys) {
+        findings.push({
+            rule: "orphaned-key",
+            message: `"${formatKey(key)}" is no longer used in the code. Run updateTranslations.js, or allowlist it if it is used dynamically.`,
+            file: canonicalFile,
+            ...findKeyPosition(CANONICAL_LOCALE, key),
+        });
+    }
 
-    for (const filePath of sourceFiles) {
-        const keys = extractTrCallsFromFile(filePath);
-        if (keys.length > 0) {
-            console.log(
-                `  ${path.relative(projectRoot, filePath)}: ${keys.join(", ")}`
-            );
-            for (const key of keys) {
-                if (!allKeys.includes(key)) {
-                    allKeys.push(key);
-                }
-            }
-        }
+    for (const [key, locales] of staleByKey) {
+        findings.push({
+            rule: "stale-translation",
+            message: `"${formatKey(key)}" changed in English, the translation needs an update in: ${locales.join(", ")}`,
+            ...usages.get(key)[0],
+        });
+    }
+
+    for (const [key, locales] of missingByKey) {
+        findings.push({
+            rule: "missing-translation",
+            message: `"${formatKey(key)}" is not translated in: ${locales.join(", ")}`,
+            ...usages.get(key)[0],
+        });
     }
 
-    return allKeys.sort(); // Keep consistent ordering
+    return findings;
 }
 
 /**
- * Load existing translation file or return empty object
+ * Add allowlisted keys, existing keys matching an allowlist pattern and keys
+ * recorded at runtime (see runtimeKeys.js) to the extracted usages. Their
+ * usage points at the allowlist or runtime dump file.
  */
-function loadTranslationFile(locale) {
-    const filePath = path.join(translationsDir, `${locale}.json`);
+function addDynamicKeyUsages(usages, pluralKeys, canonicalTranslations) {
+    const { keys: allowlisted, patterns } = loadDynamicKeys(config);
+    const keys = [...allowlisted, ...checkRestoredKeys];
+    const file = path
+        .relative(projectRoot, getDynamicKeysPath(config))
+        .split(path.sep)
+        .join("/");
+    const matchingKeys = Object.keys(canonicalTranslations).filter((key) =>
+        patterns.some((pattern) => pattern.test(key))
+    );
 
-    try {
-        const content = fs.readFileSync(filePath, "utf-8");
-        return JSON.parse(content);
-    } catch (error) {
-        console.warn(`Warning: Could not load ${locale}.json, creating new file`);
-        return {};
+    for (const key of [...keys, ...matchingKeys]) {
+        if (usages.has(key)) continue;
+        usages.set(key, [{ file, line: 1, column: 1 }]);
+        if (isPluralValue(canonicalTranslations[key])) {
+            pluralKeys.add(key);
+        }
+    }
+
+    const { keys: seenKeys, expired } = loadRuntimeKeys(config);
+    const runtimeKeys = [...seenKeys].filter(([key]) => !usages.has(key));
+    for (const [key, runtime] of runtimeKeys) {
+        usages.set(key, [{ file: runtime.file, line: 1, column: 1 }]);
+        if (runtime.plural || isPluralValue(canonicalTranslations[key])) {
+            pluralKeys.add(key);
+        }
+    }
+    if (runtimeKeys.length > 0) {
+        console.log(
+            `\n🛰️  ${runtimeKeys.length} keys only seen at runtime: ${runtimeKeys
+                .map(([key]) => formatKey(key))
+                .join(", ")}`
+        );
+    }
+    const expiredKeys = expired.filter((key) => !usages.has(key));
+    if (expiredKeys.length > 0) {
+        console.log(
+            `\n⌛ ${expiredKeys.length} runtime keys not seen for ${config.orphans.graceDays} days are no longer kept: ${expiredKeys
+                .map(formatKey)
+                .join(", ")}`
+        );
     }
 }
 
 /**
- * Save translation file with proper formatting
+ * --restore: allowlist an archived key, so the run below restores it
  */
-function saveTranslationFile(locale, translations) {
-    const filePath = path.join(translationsDir, `${locale}.json`);
-
-    // Ensure directory exists
-    fs.mkdirSync(translationsDir, { recursive: true });
-
-    // Write with consistent formatting (2 spaces, sorted keys)
-    const sortedTranslations = {};
-    const sortedKeys = Object.keys(translations).sort();
+function prepareRestore(key) {
+    const archive = loadArchive(config);
+    const archivedKey = Object.keys(archive).find(
+        (candidate) => candidate === key || formatKey(candidate) === key
+    );
 
-    for (const key of sortedKeys) {
-        sortedTranslations[key] = translations[key];
+    if (!archivedKey) {
+        console.error(`❌ "${key}" is not in the archive (${path.join(translationsDir, "_archive.json")})`);
+        process.exit(1);
     }
 
-    fs.writeFileSync(
-        filePath,
-        JSON.stringify(sortedTranslations, null, 2) + "\n"
-    );
+    if (checkMode) {
+        checkRestoredKeys.push(archivedKey);
+        console.log(`♻️  Checking as if "${formatKey(archivedKey)}" was restored\n`);
+        return;
+    }
+    addDynamicKeys(config, [archivedKey]);
+    console.log(`♻️  Added "${formatKey(archivedKey)}" to ${getDynamicKeysPath(config)}\n`);
 }
 
 /**
  * Main script logic
  */
 function main() {
+    if (restoreKey) {
+        prepareRestore(restoreKey);
+    }
+
     console.log("🔍 Extracting translation keys...\n");
 
     // Step 1: Extract all tr() keys from source code
-    const extractedKeys = extractAllTrKeys();
-    console.log(`\n✅ Found ${extractedKeys.length} unique tr() keys`);
+    const { usages, pluralKeys, unresolved } = extractAllTrKeys();
+    console.log(`\n✅ Found ${usages.size} unique tr() keys`);
 
-    // Step 2: Load canonical file (en.json)
+    if (unresolved.length > 0) {
+        console.warn(
+            `\n⚠️  Could not statically resolve ${unresolved.length} tr() calls:`
+        );
+        for (const call of unresolved) {
+            console.warn(`   - ${call.file}:${call.line}:${call.column} ${call.reason}`);
+        }
+    }
+
+    // Step 2: Load canonical file (en.json) and add dynamic keys
     const canonicalTranslations = loadTranslationFile(CANONICAL_LOCALE);
     const existingKeys = Object.keys(canonicalTranslations);
 
+    addDynamicKeyUsages(usages, pluralKeys, canonicalTranslations);
+    const extractedKeys = [...usages.keys()].sort();
+
     // Step 3: Calculate diffs
     const removedKeys = existingKeys.filter(
         (key) => !extractedKeys.includes(key)
@@ -247,62 +388,297 @@ function main() {
     console.log(`  - New: ${newKeys.length} keys`);
 
     if (removedKeys.length > 0) {
-        console.log(`\n🗑️  Removed keys: ${removedKeys.join(", ")}`);
+        console.log(`\n🗑️  Removed keys: ${removedKeys.map(formatKey).join(", ")}`);
+        if (config.orphans.archive) {
+            console.log(`   (kept in _archive.json, add dynamic keys to ${path.basename(getDynamicKeysPath(config))})`);
+        }
     }
 
     if (newKeys.length > 0) {
-        console.log(`\n➕ New keys: ${newKeys.join(", ")}`);
+        console.log(`\n➕ New keys: ${newKeys.map(formatKey).join(", ")}`);
+    }
+
+    // Orphaned keys are archived, keys that come back are restored from the archive
+    const archive = config.orphans.archive ? loadArchive(config) : null;
+    const archivedAt = new Date().toISOString();
+    const restoredKeys = archive ? newKeys.filter((key) => archive[key]) : [];
+
+    if (restoredKeys.length > 0) {
+        console.log(`\n♻️  Restoring from the archive: ${restoredKeys.map(formatKey).join(", ")}`);
     }
 
     // Step 4: Update all translation files
     console.log(`\n🔄 Updating translation files...`);
 
     const toTranslate = {};
-
-    for (const locale of SUPPORTED_LOCALES) {
+    const review = {};
+    const stale = {};
+    const missingByKey = new Map();
+    const staleByKey = new Map();
+    let updatedCanonical = {};
+    const translationsByLocale = {};
+    const memory = config.memory.enabled ? loadMemory(config) : null;
+    const sourceHashes = loadSourceHashes(config);
+    const updatedHashes = {};
+
+    // Current translations of the fallback locales, loaded when first needed
+    const fallbackTranslations = new Map();
+    let coveredCount = 0;
+    const findCoveringLocale = (locale, key, plural) =>
+        getFallbackChain(config, locale).find((fallback) => {
+            if (!fallbackTranslations.has(fallback)) {
+                let translations = {};
+                try {
+                    translations = loadLocaleFile(config, fallback);
+                } catch (error) {
+                    // Not created yet, covers nothing
+                }
+                fallbackTranslations.set(fallback, translations);
+            }
+            return !isMissingValue(fallbackTranslations.get(fallback)[key], fallback, plural);
+        });
+
+    // Canonical first, so its updated values are the source text for suggestions
+    const locales = [
+        CANONICAL_LOCALE,
+        ...SUPPORTED_LOCALES.filter(
+            (locale) => locale !== CANONICAL_LOCALE && !config.pseudo.locales.includes(locale)
+        ),
+    ];
+
+    for (const locale of locales) {
         const currentTranslations = loadTranslationFile(locale);
         const updatedTranslations = {};
 
-        // Keep existing translations for keys that still exist
-        for (const key of extractedKeys) {
-            if (existingKeys.includes(key)) {
-                // Keep existing translation, but check if it's missing/empty for non-canonical locales
-                const existingValue = currentTranslations[key];
-                if (locale === CANONICAL_LOCALE) {
-                    updatedTranslations[key] = existingValue || key; // Identity mapping for canonical
-                } else {
-                    updatedTranslations[key] = existingValue || "";
-                    // If translation is missing or empty, add to toTranslate
-                    if (!existingValue || existingValue.trim() === "") {
-                        if (!toTranslate[locale]) {
-                            toTranslate[locale] = {};
-                        }
-                        toTranslate[locale][key] = "";
-                    }
+        // Remember every current translation, including the ones about to be removed.
+        // Outdated ones were made from another English text, so they are skipped.
+        if (memory && locale !== CANONICAL_LOCALE) {
+            for (const key of existingKeys) {
+                const storedHash = sourceHashes[locale]?.[key];
+                if (storedHash !== undefined && storedHash !== hashSource(canonicalTranslations[key])) {
+                    continue;
                 }
-            } else {
-                // New key
+                remember(
+                    memory,
+                    locale,
+                    getMemorySource(canonicalTranslations[key], key),
+                    currentTranslations[key]
+                );
+            }
+        }
+
+        if (archive) {
+            for (const key of removedKeys) {
                 if (locale === CANONICAL_LOCALE) {
-                    // For canonical locale, use identity mapping
-                    updatedTranslations[key] = key;
-                } else {
-                    // For other locales, leave empty (to be translated)
-                    updatedTranslations[key] = "";
-
-                    // Add to toTranslate
-                    if (!toTranslate[locale]) {
-                        toTranslate[locale] = {};
-                    }
-                    toTranslate[locale][key] = "";
+                    archive[key] = { archivedAt, runs: 0, translations: {} };
+                }
+                if (currentTranslations[key] !== undefined) {
+                    archive[key].translations[locale] = currentTranslations[key];
                 }
             }
         }
 
-        saveTranslationFile(locale, updatedTranslations);
+        for (const key of extractedKeys) {
+            const plural = pluralKeys.has(key);
+            // Keep existing translations for keys that still exist, restore archived
+            // ones, other new keys start empty
+            const existingValue = existingKeys.includes(key)
+                ? currentTranslations[key]
+                : archive?.[key]?.translations[locale];
+
+            if (locale === CANONICAL_LOCALE) {
+                // Identity mapping for canonical (without the context)
+                const text = parseKey(key).text;
+                updatedTranslations[key] = plural
+                    ? normalizeValue(existingValue, locale, true, text)
+                    : normalizeValue(existingValue, locale, false) || text;
+                continue;
+            }
+
+            // Plural keys get one (possibly empty) form per CLDR category of the locale
+            const value = normalizeValue(existingValue, locale, plural);
+            updatedTranslations[key] = value;
+
+            // Translations made from an older English value need an update. The old
+            // translation stays in the locale file until the new one is merged.
+            const missing = isMissingValue(value, locale, plural);
+            const sourceHash = hashSource(updatedCanonical[key]);
+            const storedHash = sourceHashes[locale]?.[key];
+            const outdated = !missing && storedHash !== undefined && storedHash !== sourceHash;
+
+            if (!missing) {
+                updatedHashes[locale] = updatedHashes[locale] || {};
+                updatedHashes[locale][key] = storedHash ?? sourceHash;
+            }
+            if (outdated) {
+                staleByKey.set(key, [...(staleByKey.get(key) || []), locale]);
+                stale[locale] = stale[locale] || {};
+                stale[locale][key] = { previous: value };
+            }
+
+            // A missing translation a fallback locale covers (pt for pt-BR) can wait
+            const coveredBy =
+                missing && !strictFallbacks ? findCoveringLocale(locale, key, plural) : undefined;
+            if (coveredBy) {
+                coveredCount++;
+            }
+
+            // If translation is missing, empty or outdated, add to toTranslate
+            if ((missing && !coveredBy) || outdated) {
+                if (missing && !newKeys.includes(key)) {
+                    missingByKey.set(key, [...(missingByKey.get(key) || []), locale]);
+                }
+                if (!toTranslate[locale]) {
+                    toTranslate[locale] = {};
+                }
+                toTranslate[locale][key] = missing ? value : normalizeValue(undefined, locale, plural);
+
+                // Pre-fill untouched entries from translation memory, marked for review.
+                // Not outdated ones: memory would suggest the outdated translation, and a
+                // filled entry counts as translated. _stale has it for reference.
+                const queuedValue = toTranslate[locale][key];
+                const untouched = isPluralValue(queuedValue)
+                    ? Object.values(queuedValue).every((form) => !form)
+                    : !queuedValue;
+                const suggestion =
+                    memory && untouched && !outdated
+                        ? findSuggestion(
+                              memory,
+                              locale,
+                              getMemorySource(updatedCanonical[key], key),
+                              plural,
+                              config.memory.fuzzyThreshold
+                          )
+                        : null;
+
+                if (suggestion) {
+                    toTranslate[locale][key] = normalizeValue(suggestion.value, locale, plural);
+                    review[locale] = review[locale] || {};
+                    review[locale][key] = {
+                        suggestion: suggestion.exact ? "exact" : "fuzzy",
+                        from: suggestion.from,
+                        score: suggestion.score,
+                    };
+                }
+            }
+        }
+
+        if (locale === CANONICAL_LOCALE) {
+            updatedCanonical = updatedTranslations;
+        }
+        translationsByLocale[locale] = updatedTranslations;
+        if (!checkMode) {
+            saveTranslationFile(
+                locale,
+                updatedTranslations,
+                locale === CANONICAL_LOCALE ? updatedTranslations : updatedCanonical
+            );
+        }
     }
 
-    // Step 5: Generate toTranslate.json if there are new keys
+    if (coveredCount > 0) {
+        console.log(
+            `\n↪️  ${coveredCount} missing translations are covered by a fallback locale and were not queued (--strict-fallbacks queues them)`
+        );
+    }
+
+    // --check: report instead of writing, fail when anything is out of date
+    if (checkMode) {
+        const findings = buildFindings({ newKeys, removedKeys, missingByKey, staleByKey, usages });
+        process.stdout.write(formatReport(findings, reportFormat));
+        process.exit(findings.length > 0 ? 1 : 0);
+    }
+
+    // Pseudo-locales are generated, never translated
+    for (const locale of config.pseudo.locales) {
+        translationsByLocale[locale] = buildPseudoTranslations(config, locale, updatedCanonical);
+        saveTranslationFile(locale, translationsByLocale[locale], updatedCanonical);
+    }
+    if (config.pseudo.locales.length > 0) {
+        console.log(`\n🥸 Generated pseudo-locales: ${config.pseudo.locales.join(", ")}`);
+    }
+
+    if (memory) {
+        saveMemory(config, memory);
+    }
+    saveSourceHashes(config, updatedHashes);
+
+    if (staleByKey.size > 0) {
+        console.log(`\n🔁 Needs update (English text changed):`);
+        for (const [key, staleLocales] of staleByKey) {
+            console.log(`   - "${formatKey(key)}" in ${staleLocales.join(", ")}`);
+        }
+    }
+
+    if (archive) {
+        for (const key of restoredKeys) {
+            delete archive[key];
+        }
+
+        const purgedKeys = ageArchive(config, archive, removedKeys);
+        if (purgedKeys.length > 0) {
+            console.log(
+                `\n🧹 Purged from the archive after the grace period: ${purgedKeys.map(formatKey).join(", ")}`
+            );
+        }
+        saveArchive(config, archive);
+    }
+
+    // Step 5: Write the key manifest with usage locations
+    saveKeyManifest(extractedKeys, usages, pluralKeys);
+
+    if (config.bundles.enabled) {
+        const bundles = assignBundles(config, extractedKeys, usages);
+        writeBundles(config, bundles, translationsByLocale);
+        console.log(
+            `\n📦 Wrote ${bundles.size} bundles: ${[...bundles.keys()]
+                .map((name) => `${name} (${bundles.get(name).keys.length})`)
+                .join(", ")}`
+        );
+    }
+
+    // Step 6: Generate toTranslate.json if there are new keys
     if (Object.keys(toTranslate).length > 0) {
+        // Tell translators where each string appears
+        const queuedKeys = new Set(
+            Object.values(toTranslate).flatMap((entries) => Object.keys(entries))
+        );
+        toTranslate._meta = {};
+        for (const key of [...queuedKeys].sort()) {
+            toTranslate._meta[key] = getKeyMeta(key, usages, pluralKeys);
+        }
+
+        // Glossary terms and do-not-translate entries that appear in the queued strings
+        const sourcesByLocale = {};
+        for (const [locale, entries] of Object.entries(toTranslate)) {
+            if (locale.startsWith("_")) continue;
+            sourcesByLocale[locale] = Object.keys(entries).flatMap((key) => {
+                const source = updatedCanonical[key] ?? parseKey(key).text;
+                return isPluralValue(source) ? Object.values(source) : [source];
+            });
+        }
+        const glossary = getRelevantGlossary(loadGlossary(config), sourcesByLocale);
+        if (glossary.doNotTranslate.length > 0 || Object.keys(glossary.terms).length > 0) {
+            toTranslate._glossary = glossary;
+        }
+
+        // Entries re-queued because their English source changed, with the old translation
+        if (Object.keys(stale).length > 0) {
+            toTranslate._stale = stale;
+        }
+
+        // Translation memory suggestions a human should check before merging
+        if (Object.keys(review).length > 0) {
+            toTranslate._review = review;
+            const suggestionCount = Object.values(review).reduce(
+                (total, entries) => total + Object.keys(entries).length,
+                0
+            );
+            console.log(
+                `\n🧠 Pre-filled ${suggestionCount} translations from translation memory (see "_review")`
+            );
+        }
+
         const toTranslatePath = path.join(translationsDir, "toTranslate.json");
         fs.writeFileSync(
             toTranslatePath,
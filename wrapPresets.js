@@ -0,0 +1,189 @@
+/**
+ * wrapPresets - The rules that decide which strings wrapExistingText.js wraps
+ *
+ * config.wrapRules picks presets and adds rules of its own:
+ *
+ *   wrapRules: {
+ *       presets: ["mui", "messages"],
+ *       rules: [
+ *           { component: "Callout", children: true, props: ["heading"] },
+ *           { component: "*", props: ["tooltip"], exclude: [/^https?:/] },
+ *           { call: "notify", exclude: ["DEBUG"] },
+ *       ],
+ *   },
+ *
+ * A rule names what it applies to:
+ *   component  JSX element name: a string, a list, a RegExp or "*" for any element.
+ *              `children: true` wraps its text (text mixed with simple elements
+ *              becomes <Trans>), `props` lists props whose string values are wrapped
+ *   call       function called with a string, e.g. "app.toast.show" (first argument)
+ *   property   object property with a string value, e.g. "message"
+ *   throw      error class thrown with a string, e.g. "Error" (throw new Error("..."))
+ *
+ * and optionally which strings: `include` (at least one must match) and
+ * `exclude` (none may match). Each is a substring, a RegExp, a function
+ * (text) => boolean or a list of those. A string is wrapped when any rule
+ * that applies to it accepts it.
+ *
+ * config.wrapperComponents (--wrappers) adds `{ component, children: true }`
+ * rules for more components.
+ */
+
+// Very short single words like "Yes"/"No" are usually status codes, not labels
+const SHORT_WORD = [/^[A-Za-z]{1,6}$/, (text) => text.length < 4];
+
+export const PRESETS = {
+    // Shopify Polaris and App Bridge
+    polaris: [
+        { component: ["Text", "Button"], children: true },
+        { component: "Badge", children: true, exclude: SHORT_WORD },
+        { component: "*", props: ["ariaLabel", "label", "placeholder", "title", "helpText"] },
+        // <meta content="width=device-width"> is not user-facing
+        { component: "*", props: ["content"], exclude: ["width=", "http-equiv", "charset"] },
+        { call: ["app.toast.show", "shopify.toast.show"], exclude: [(text) => text.trim().length < 4] },
+    ],
+    // Plain HTML elements
+    html: [
+        {
+            component: [
+                "a", "button", "caption", "dd", "dt", "em", "figcaption", "h1", "h2",
+                "h3", "h4", "h5", "h6", "label", "legend", "li", "option", "p", "small",
+                "span", "strong", "summary", "td", "th", "title",
+            ],
+            children: true,
+        },
+        { component: "*", props: ["alt", "aria-description", "aria-label", "placeholder", "title"] },
+    ],
+    // Material UI
+    mui: [
+        {
+            component: [
+                "Alert", "AlertTitle", "Button", "DialogContentText", "DialogTitle",
+                "FormHelperText", "FormLabel", "InputLabel", "Link", "MenuItem",
+                "Tab", "ToggleButton", "Typography",
+            ],
+            children: true,
+        },
+        { component: "*", props: ["aria-label", "helperText", "label", "placeholder", "title"] },
+        { component: "ListItemText", props: ["primary", "secondary"] },
+    ],
+    // Chakra UI
+    chakra: [
+        {
+            component: [
+                "AlertDescription", "AlertTitle", "Button", "Checkbox", "FormErrorMessage",
+                "FormHelperText", "FormLabel", "Heading", "Link", "MenuItem", "Radio",
+                "Tab", "Text",
+            ],
+            children: true,
+        },
+        { component: ["Badge", "Tag"], children: true, exclude: SHORT_WORD },
+        { component: "*", props: ["aria-label", "label", "placeholder", "title"] },
+    ],
+    // Success messages and simple user-facing errors, for any UI library
+    messages: [
+        {
+            property: "message",
+            include: ["successfully", "saved", "completed", "cleared"],
+            exclude: [
+                "API",
+                "failed",
+                "error",
+                "not configured",
+                "environment",
+                (text) => text.length < 4 || text.length > 60,
+            ],
+        },
+        {
+            throw: "Error",
+            include: [/^[A-Z][a-z\s]{10,}$/],
+            exclude: [
+                "API",
+                "not configured",
+                "environment variable",
+                "Failed to",
+                "Invalid",
+                "not found",
+                (text) => text.length > 50,
+            ],
+        },
+    ],
+};
+
+const TARGETS = ["component", "call", "property", "throw"];
+
+function matchesAny(patterns, text) {
+    return [].concat(patterns).some((pattern) => {
+        if (typeof pattern === "function") return Boolean(pattern(text));
+        if (pattern instanceof RegExp) {
+            pattern.lastIndex = 0;
+            return pattern.test(text);
+        }
+        return text.includes(pattern);
+    });
+}
+
+function matchesName(names, name) {
+    return [].concat(names).some((pattern) =>
+        pattern instanceof RegExp ? pattern.test(name) : pattern === "*" || pattern === name
+    );
+}
+
+/**
+ * Check whether a rule accepts a string (its include/exclude predicates)
+ */
+function accepts(rule, text) {
+    if (rule.include !== undefined && !matchesAny(rule.include, text)) return false;
+    return rule.exclude === undefined || !matchesAny(rule.exclude, text);
+}
+
+/**
+ * The rules of config.wrapRules, with the presets expanded.
+ * Returns helpers that answer what to wrap:
+ *   wrapsChildren(component, text?)  text children of a component
+ *   wrapsProp(component, prop, text) string props
+ *   wrapsCall(callee, text)          first argument of a call
+ *   wrapsProperty(name, text)        object property values
+ *   wrapsThrow(errorClass, text)     thrown error messages
+ * Leave out `text` to ask whether a rule applies at all.
+ */
+export function getWrapRules(config) {
+    const { presets = [], rules = [] } = config.wrapRules;
+    const allRules = [];
+
+    for (const preset of presets) {
+        if (!PRESETS[preset]) {
+            throw new Error(
+                `Unknown wrap preset "${preset}", use one of: ${Object.keys(PRESETS).join(", ")}`
+            );
+        }
+        allRules.push(...PRESETS[preset]);
+    }
+    if (config.wrapperComponents.length > 0) {
+        allRules.push({ component: config.wrapperComponents, children: true });
+    }
+
+    for (const rule of rules) {
+        if (!TARGETS.some((target) => rule[target] !== undefined)) {
+            throw new Error(`Wrap rule ${JSON.stringify(rule)} needs one of: ${TARGETS.join(", ")}`);
+        }
+        allRules.push(rule);
+    }
+
+    const find = (target, name, extra = () => true) =>
+        allRules.filter(
+            (rule) => rule[target] !== undefined && matchesName(rule[target], name) && extra(rule)
+        );
+    const anyAccepts = (matching, text) =>
+        matching.length > 0 && (text === undefined || matching.some((rule) => accepts(rule, text)));
+
+    return {
+        wrapsChildren: (component, text) =>
+            anyAccepts(find("component", component, (rule) => rule.children), text),
+        wrapsProp: (component, prop, text) =>
+            anyAccepts(find("component", component, (rule) => rule.props?.includes(prop)), text),
+        wrapsCall: (callee, text) => anyAccepts(find("call", callee), text),
+        wrapsProperty: (name, text) => anyAccepts(find("property", name), text),
+        wrapsThrow: (errorClass, text) => anyAccepts(find("throw", errorClass), text),
+    };
+}
@@ -0,0 +1,141 @@
+/**
+ * wrapReview - Interactive review and remembered decisions for wrapExistingText.js
+ *
+ * The decisions file (config.wrapDecisions, default <translationsDir>/wrapDecisions.json):
+ *
+ *   {
+ *       "skip": ["Beta", "OK"],
+ *       "keys": { "Save all changes to your settings": "Save your settings" }
+ *   }
+ *
+ * Strings in `skip` are never wrapped, `keys` changes the key a string is
+ * wrapped with. Both apply to every run, reviewed or not.
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline/promises";
+import { getTags } from "./translationChecks.js";
+
+const CONTEXT_LINES = 2;
+
+/**
+ * Path of the decisions file (absolute)
+ */
+export function getWrapDecisionsPath(config) {
+    return path.resolve(
+        config.projectRoot,
+        config.wrapDecisions || path.join(config.translationsDir, "wrapDecisions.json")
+    );
+}
+
+/**
+ * The saved decisions: { skip: [strings], keys: { string: key } }
+ */
+export function loadWrapDecisions(config) {
+    const filePath = getWrapDecisionsPath(config);
+    const saved = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf-8")) : {};
+    return { skip: saved.skip || [], keys: saved.keys || {} };
+}
+
+export function saveWrapDecisions(config, decisions) {
+    const filePath = getWrapDecisionsPath(config);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const sorted = {
+        skip: [...new Set(decisions.skip)].sort(),
+        keys: Object.fromEntries(Object.entries(decisions.keys).sort(([a], [b]) => a.localeCompare(b))),
+    };
+    fs.writeFileSync(filePath, JSON.stringify(sorted, null, 2) + "\n");
+}
+
+/**
+ * The lines around a candidate, numbered, with its lines marked by ">"
+ */
+export function getSourceContext(content, candidate) {
+    const lines = content.split("\n");
+    const lastLine = content.slice(0, candidate.end).split("\n").length;
+    const from = Math.max(1, candidate.line - CONTEXT_LINES);
+    const to = Math.min(lines.length, lastLine + CONTEXT_LINES);
+    const width = String(to).length;
+
+    const context = [];
+    for (let line = from; line <= to; line++) {
+        const marker = line >= candidate.line && line <= lastLine ? ">" : " ";
+        context.push(`${marker} ${String(line).padStart(width)} | ${lines[line - 1]}`);
+    }
+    return context.join("\n");
+}
+
+// Sorted, because the tags of a <Trans> key may move around but not change
+const sameTags = (a, b) => getTags(a).sort().join() === getTags(b).sort().join();
+
+/**
+ * Decides the candidates of wrapSource() (see wrapTransforms.js) with the saved
+ * decisions and, if `interactive`, by asking for each one:
+ *   y  wrap it            e  wrap it with an edited key
+ *   n  leave it this time a  always leave this string (saved)
+ *   q  leave the rest
+ * `output` is where prompts go (stderr when stdout carries a patch), with
+ * `save: false` (dry runs) the answers aren't saved.
+ */
+export function createReviewer(config, { interactive = false, output = process.stdout, save = true } = {}) {
+    const decisions = loadWrapDecisions(config);
+    const prompt = interactive ? readline.createInterface({ input: process.stdin, output }) : null;
+    let quit = false;
+
+    const remember = () => {
+        if (save) saveWrapDecisions(config, decisions);
+    };
+
+    async function askKey(key) {
+        while (true) {
+            const answer = prompt.question("Key: ");
+            prompt.write(key);
+            const edited = (await answer).trim();
+            if (!edited) return null;
+            if (sameTags(key, edited)) return edited;
+            output.write(`Keep the tags of the original: ${getTags(key).join(" ")}\n`);
+        }
+    }
+
+    async function review(fileName, candidate, content) {
+        if (quit || decisions.skip.includes(candidate.key)) return null;
+        const key = decisions.keys[candidate.key] ?? candidate.key;
+        if (!interactive) return key;
+
+        output.write(`\n[${fileName}:${candidate.line}] ${candidate.label}\n`);
+        output.write(`${getSourceContext(content, candidate)}\n`);
+        output.write(`  -> ${candidate.render(key)}\n`);
+
+        while (true) {
+            const answer = (await prompt.question("Wrap? [y]es, [n]o, [e]dit key, [a]lways skip, [q]uit: "))
+                .trim()
+                .toLowerCase();
+
+            if (answer === "y" || answer === "") return key;
+            if (answer === "n") return null;
+            if (answer === "q") {
+                quit = true;
+                return null;
+            }
+            if (answer === "a") {
+                decisions.skip.push(candidate.key);
+                remember();
+                return null;
+            }
+            if (answer === "e") {
+                const edited = await askKey(key);
+                if (edited === null) continue;
+                if (edited === candidate.key) delete decisions.keys[candidate.key];
+                else decisions.keys[candidate.key] = edited;
+                remember();
+                return edited;
+            }
+        }
+    }
+
+    return {
+        review,
+        close: () => prompt?.close(),
+    };
+}
@@ -0,0 +1,423 @@
+/**
+ * wrapTransforms - Finds and wraps the user-facing strings of a source file
+ *
+ * Works on the TypeScript AST (see extractTrKeys.js) instead of regexes, so
+ * ">" in props, nested JSX and expressions can't confuse it. The source is
+ * only changed where a string is replaced, the formatting around it and all
+ * code stay as they are.
+ *
+ * The rules (see wrapPresets.js) decide which strings are wrapped. One
+ * candidate per string:
+ *   text       <Text>Save</Text>                -> <Text>{tr("Save")}</Text>
+ *   trans      <Text>Read <Link>terms</Link></Text>
+ *                                               -> <Text><Trans i18nKey="Read <link>terms</link>" ... /></Text>
+ *   attribute  label="Save"                     -> label={tr("Save")}
+ *   call       app.toast.show("Saved")          -> app.toast.show(tr("Saved"))
+ *   property   message: "Settings saved"        -> message: tr("Settings saved")
+ *   throw      throw new Error("Something ...") -> throw new Error(tr("Something ..."))
+ *
+ * A wrapped string is no longer a candidate, so wrapping is idempotent.
+ * wrapFile() also adds the hooks and imports the file then needs, for
+ * wrapExistingText.js and lintStrings.js --fix.
+ */
+
+import { parseSource } from "./extractTrKeys.js";
+import { addTrBindings } from "./trBindings.js";
+
+// Runs until no candidates are left. Strings inside a replaced range (a title=""
+// on a <Trans> component) are wrapped in the next pass.
+const MAX_PASSES = 5;
+
+// The named entities found in UI text. Text with any other one is left as it
+// is, a key with "&hearts;" in it would be shown as written.
+const ENTITIES = {
+    amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00A0",
+    copy: "©", reg: "®", trade: "™", deg: "°", times: "×", divide: "÷", plusmn: "±",
+    euro: "€", pound: "£", yen: "¥", cent: "¢", sect: "§", para: "¶", middot: "·", bull: "•",
+    hellip: "…", ndash: "–", mdash: "—", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”",
+    laquo: "«", raquo: "»", thinsp: "\u2009", ensp: "\u2002", emsp: "\u2003",
+};
+
+function hasUnknownEntity(raw) {
+    return [...raw.matchAll(/&([a-z]\w*);/gi)].some(([, name]) => !(name in ENTITIES));
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(?:#x([\da-f]+)|#(\d+)|(\w+));/gi, (match, hex, decimal, name) => {
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        if (decimal) return String.fromCodePoint(Number(decimal));
+        return ENTITIES[name] ?? match;
+    });
+}
+
+/**
+ * The string a JSX text renders as. Same rules as the JSX compilers: lines
+ * are trimmed (except the outer ends), empty lines dropped, the rest joined
+ * with a space and entities decoded.
+ */
+export function getJsxTextValue(raw) {
+    const lines = raw.split(/\r\n|\n|\r/);
+    const parts = lines
+        .map((line, index) => {
+            let part = line.replace(/\t/g, " ");
+            if (index > 0) part = part.replace(/^ +/, "");
+            if (index < lines.length - 1) part = part.replace(/ +$/, "");
+            return part;
+        })
+        .filter(Boolean);
+    return decodeEntities(parts.join(" "));
+}
+
+// Spaces that don't show in an editor, like the one "&nbsp;" decodes to
+const INVISIBLE_SPACE = /[\u00A0\u2000-\u200F\u2028\u2029\u202F\u205F\u3000\uFEFF]/;
+
+// A JS string literal for a key, with invisible spaces escaped (\u00A0)
+function toLiteral(key) {
+    return JSON.stringify(key).replace(
+        new RegExp(INVISIBLE_SPACE.source, "g"),
+        (char) => `\\u${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")}`
+    );
+}
+
+const trCall = (key) => `tr(${toLiteral(key)})`;
+
+function isStringLiteral(ts, node) {
+    return Boolean(node) && (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node));
+}
+
+/**
+ * The range between the first and last child of an element, without the
+ * whitespace around it (so the line breaks and indentation stay)
+ */
+function getChildrenRange(sourceFile, children) {
+    const text = sourceFile.text;
+    let start = children[0].pos;
+    let end = children[children.length - 1].end;
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    return { start, end };
+}
+
+/**
+ * Text of a <Text> child element that <Trans> can stand in for, or null:
+ * JSX text, {" "} strings, and elements holding nothing but text
+ */
+function getRichChild(ts, sourceFile, child) {
+    if (ts.isJsxText(child)) {
+        return hasUnknownEntity(child.text) ? null : { text: getJsxTextValue(child.text) };
+    }
+    if (ts.isJsxExpression(child)) {
+        return isStringLiteral(ts, child.expression) ? { text: child.expression.text } : null;
+    }
+
+    const opening = ts.isJsxElement(child) ? child.openingElement : child;
+    if (!ts.isJsxSelfClosingElement(opening) && !ts.isJsxOpeningElement(opening)) return null;
+
+    const name = opening.tagName.getText(sourceFile);
+    let inner = null;
+    if (ts.isJsxElement(child)) {
+        if (!child.children.every((grandchild) => ts.isJsxText(grandchild) && !hasUnknownEntity(grandchild.text))) {
+            return null;
+        }
+        inner = child.children.map((grandchild) => getJsxTextValue(grandchild.text)).join("");
+    }
+    return { element: { name, props: opening.attributes.getText(sourceFile).trim(), inner } };
+}
+
+/**
+ * <Trans> candidate for text mixed with simple elements, or null
+ */
+function getTransCandidate(ts, sourceFile, children, accept) {
+    const components = new Map(); // element markup -> tag name
+    const usedNames = new Set();
+    let key = "";
+    let text = "";
+
+    for (const child of children) {
+        const rich = getRichChild(ts, sourceFile, child);
+        if (!rich) return null;
+
+        if (rich.text !== undefined) {
+            key += rich.text;
+            text += rich.text;
+            continue;
+        }
+
+        const { name, props, inner } = rich.element;
+        const markup = `<${name}${props ? ` ${props}` : ""} />`;
+        if (!components.has(markup)) {
+            // <Link> -> link, a second different <Link> -> link2
+            const base = name.split(".").pop().toLowerCase();
+            let tagName = base;
+            for (let suffix = 2; usedNames.has(tagName); suffix++) tagName = `${base}${suffix}`;
+            usedNames.add(tagName);
+            components.set(markup, tagName);
+        }
+        const tagName = components.get(markup);
+        key += inner === null ? `<${tagName}/>` : `<${tagName}>${inner}</${tagName}>`;
+        text += inner || "";
+    }
+
+    key = key.trim();
+    // "<" or "{" in the text would read as a tag or placeholder
+    if (components.size === 0 || text.trim().length < 4 || /[<{}]/.test(text)) return null;
+    if (!accept(text.trim())) return null;
+
+    const list = [...components].map(([markup, tagName]) => `${tagName}: ${markup}`).join(", ");
+    return {
+        key,
+        render: (value) => {
+            const i18nKey =
+                /["&\n]/.test(value) || INVISIBLE_SPACE.test(value) ? `{${toLiteral(value)}}` : `"${value}"`;
+            return `<Trans i18nKey=${i18nKey} components={{ ${list} }} />`;
+        },
+    };
+}
+
+/**
+ * Candidates for the children of a component whose text is wrapped (<Text>, <Button>, ...)
+ */
+function getElementCandidate(ts, sourceFile, element, rules) {
+    const component = element.openingElement.tagName.getText(sourceFile);
+    if (!rules.wrapsChildren(component)) return null;
+
+    // Whitespace-only lines between elements don't render
+    const children = element.children.filter(
+        (child) => !ts.isJsxText(child) || getJsxTextValue(child.text) !== ""
+    );
+    if (children.length === 0) return null;
+
+    if (children.length === 1 && ts.isJsxText(children[0])) {
+        if (hasUnknownEntity(children[0].text)) return null;
+        const key = getJsxTextValue(children[0].text).trim();
+
+        // Safety: If it looks like code, skip it
+        if (key.includes("=>") || key.includes("}") || key.includes("${")) return null;
+        if (!rules.wrapsChildren(component, key)) return null;
+
+        return {
+            kind: "text",
+            label: component,
+            key,
+            ...getChildrenRange(sourceFile, children),
+            render: (value) => `{${trCall(value)}}`,
+        };
+    }
+
+    // A lone element the rules wrap by itself (<li><strong>Taxes</strong></li>)
+    const [only] = children;
+    if (
+        children.length === 1 &&
+        ts.isJsxElement(only) &&
+        rules.wrapsChildren(only.openingElement.tagName.getText(sourceFile))
+    ) {
+        return null;
+    }
+
+    const trans = getTransCandidate(ts, sourceFile, children, (text) =>
+        rules.wrapsChildren(component, text)
+    );
+    return trans && {
+        kind: "trans",
+        label: `${component} as Trans`,
+        ...trans,
+        ...getChildrenRange(sourceFile, children),
+    };
+}
+
+function getAttributeCandidate(ts, sourceFile, attribute, rules) {
+    const name = attribute.name.getText(sourceFile);
+    const component = attribute.parent.parent.tagName.getText(sourceFile);
+    const { initializer } = attribute;
+    if (!initializer || !ts.isStringLiteral(initializer) || !rules.wrapsProp(component, name)) {
+        return null;
+    }
+    if (hasUnknownEntity(initializer.text)) return null;
+
+    const key = decodeEntities(initializer.text);
+    if (key.trim() === "" || key.length > 200 || /[{}\n]/.test(key)) return null;
+    if (!rules.wrapsProp(component, name, key)) return null;
+
+    return {
+        kind: "attribute",
+        label: name,
+        key,
+        start: initializer.getStart(sourceFile),
+        end: initializer.end,
+        render: (value) => `{${trCall(value)}}`,
+    };
+}
+
+/**
+ * String arguments (not template literals with ${}), object properties and
+ * thrown errors: app.toast.show("Saved"), message: "Saved", throw new Error("...")
+ */
+function getStringCandidate(sourceFile, node, kind, label, accept) {
+    const key = node.text;
+    if (key.trim() === "" || /[{}\n]/.test(key) || !accept(key)) return null;
+
+    return {
+        kind,
+        label,
+        key,
+        start: node.getStart(sourceFile),
+        end: node.end,
+        render: trCall,
+    };
+}
+
+function getCallCandidate(ts, sourceFile, call, rules) {
+    const [argument] = call.arguments;
+    if (!isStringLiteral(ts, argument)) return null;
+
+    const callee = call.expression.getText(sourceFile);
+    return getStringCandidate(sourceFile, argument, "call", callee, (key) =>
+        rules.wrapsCall(callee, key)
+    );
+}
+
+function getPropertyCandidate(ts, sourceFile, property, rules) {
+    const { name, initializer } = property;
+    if (!isStringLiteral(ts, initializer) || !(ts.isIdentifier(name) || ts.isStringLiteral(name))) {
+        return null;
+    }
+
+    return getStringCandidate(sourceFile, initializer, "property", name.text, (key) =>
+        rules.wrapsProperty(name.text, key)
+    );
+}
+
+function getThrowCandidate(ts, sourceFile, expression, rules) {
+    const args = expression.arguments || [];
+    if (!ts.isThrowStatement(expression.parent) || args.length !== 1 || !isStringLiteral(ts, args[0])) {
+        return null;
+    }
+
+    const errorClass = expression.expression.getText(sourceFile);
+    return getStringCandidate(sourceFile, args[0], "throw", errorClass, (key) =>
+        rules.wrapsThrow(errorClass, key)
+    );
+}
+
+/**
+ * Every string in a parsed file that should be wrapped, in source order:
+ * [{ kind, label, key, start, end, line, column, nodeLine, render(key) }]
+ * `render` returns the replacement for [start, end) with the given key,
+ * `nodeLine` is the line where the element, attribute, call, ... starts.
+ */
+export function findWrapCandidates(ts, sourceFile, rules) {
+    const candidates = [];
+
+    const visit = (node) => {
+        let candidate = null;
+        if (ts.isJsxElement(node)) candidate = getElementCandidate(ts, sourceFile, node, rules);
+        else if (ts.isJsxAttribute(node)) candidate = getAttributeCandidate(ts, sourceFile, node, rules);
+        else if (ts.isCallExpression(node)) candidate = getCallCandidate(ts, sourceFile, node, rules);
+        else if (ts.isPropertyAssignment(node)) candidate = getPropertyCandidate(ts, sourceFile, node, rules);
+        else if (ts.isNewExpression(node)) candidate = getThrowCandidate(ts, sourceFile, node, rules);
+
+        if (candidate) {
+            const { line, character } = sourceFile.getLineAndCharacterOfPosition(candidate.start);
+            const nodeLine = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line;
+            candidates.push({ ...candidate, line: line + 1, column: character + 1, nodeLine: nodeLine + 1 });
+        }
+        ts.forEachChild(node, visit);
+    };
+
+    visit(sourceFile);
+    // Outer ranges first when they start at the same place
+    return candidates.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Replace the ranges of non-overlapping candidates (applied back to front)
+ */
+export function applyCandidates(content, candidates) {
+    for (const candidate of [...candidates].sort((a, b) => b.start - a.start)) {
+        content =
+            content.slice(0, candidate.start) +
+            candidate.render(candidate.key) +
+            content.slice(candidate.end);
+    }
+    return content;
+}
+
+/**
+ * Position of `offset` after the candidates were applied
+ */
+function shiftOffset(offset, applied) {
+    let shift = 0;
+    for (const candidate of applied) {
+        if (candidate.end <= offset) {
+            shift += candidate.render(candidate.key).length - (candidate.end - candidate.start);
+        }
+    }
+    return offset + shift;
+}
+
+/**
+ * Wrap every candidate of a file.
+ *
+ * `review(candidate, content)` decides each candidate: it returns the key to
+ * wrap it with or null to leave it as it is (and may be async, for prompts).
+ * Declined candidates aren't offered again in later passes, but strings
+ * inside them are.
+ *
+ * Returns { content, wrapped: [candidates], declined, settled } where
+ * `settled` is false if candidates were still left after the last pass.
+ */
+export async function wrapSource(ts, filePath, content, rules, review = (candidate) => candidate.key) {
+    const wrapped = [];
+    let declined = [];
+    const isDeclined = (candidate) =>
+        declined.some((range) => range.start === candidate.start && range.end === candidate.end);
+
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        const candidates = findWrapCandidates(ts, parseSource(ts, filePath, content), rules).filter(
+            (candidate) => !isDeclined(candidate)
+        );
+
+        // Candidates inside a replaced range wait for the next pass
+        const batch = [];
+        let end = -1;
+        for (const candidate of candidates) {
+            if (candidate.start < end) continue;
+
+            const key = await review(candidate, content);
+            if (key === null) {
+                declined.push({ start: candidate.start, end: candidate.end });
+                continue;
+            }
+            batch.push({ ...candidate, key });
+            end = candidate.end;
+        }
+        if (batch.length === 0) {
+            return { content, wrapped, declined: declined.length, settled: true };
+        }
+
+        declined = declined.map((range) => ({
+            start: shiftOffset(range.start, batch),
+            end: shiftOffset(range.end, batch),
+        }));
+        content = applyCandidates(content, batch);
+        wrapped.push(...batch);
+    }
+
+    const left = findWrapCandidates(ts, parseSource(ts, filePath, content), rules).filter(
+        (candidate) => !isDeclined(candidate)
+    );
+    return { content, wrapped, declined: declined.length, settled: left.length === 0 };
+}
+
+/**
+ * wrapSource() plus what the wrapped strings need (see trBindings.js): the
+ * useTr() hook in every component calling tr(), getServerT() in loaders and
+ * actions, TrContext in class components, t() anywhere else, and the imports.
+ * Returns wrapSource()'s result with `hooks` (component names),
+ * `serverFunctions`, `classes` and `fallbacks` (names of the functions now
+ * calling t()).
+ */
+export async function wrapFile(ts, config, file, content, rules, review) {
+    const result = await wrapSource(ts, file, content, rules, review);
+    return { ...result, ...addTrBindings(ts, config, file, result.content) };
+}